@@ -1,25 +1,82 @@
+require('dotenv').config();
+
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const authRoutes = require('./src/routes/auth')
 const boardRoutes = require('./src/routes/board');
+const templateRoutes = require('./src/routes/template');
+const commentRoutes = require('./src/routes/comment');
+const checklistRoutes = require('./src/routes/checklist');
+const labelRoutes = require('./src/routes/label');
+const archiveRoutes = require('./src/routes/archive');
+const transferRoutes = require('./src/routes/transfer');
+const searchRoutes = require('./src/routes/search');
+const invitationRoutes = require('./src/routes/invitation');
+const webhookRoutes = require('./src/routes/webhook');
+const recommendationRoutes = require('./src/routes/recommendation');
+const analyticsRoutes = require('./src/routes/analytics');
+const wipRoutes = require('./src/routes/wip');
+const automationRoutes = require('./src/routes/automation');
+const notificationRoutes = require('./src/routes/notification');
+const shareRoutes = require('./src/routes/share');
+const attachmentRoutes = require('./src/routes/attachment');
+const dependencyRoutes = require('./src/routes/dependency');
+const timesheetRoutes = require('./src/routes/timesheet');
+const publicRoutes = require('./src/routes/public');
+const { startWebhookWorker } = require('./src/services/webhooks');
+const { startAutomationScheduler } = require('./src/services/automation');
+const { startReminderScheduler } = require('./src/services/notifications');
+const { migrateBoardMembers } = require('./src/migrations/boardMembers');
+const { warnIfMailUnconfigured } = require('./src/services/mailer');
 
-require('dotenv').config();
+warnIfMailUnconfigured();
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// Card updates use ETag/If-Match, so browsers need to be able to read it.
+app.use(cors({ exposedHeaders: ['ETag'] }));
+// Board imports (e.g. Trello exports) are far larger than the 100kb default.
+app.use(express.json({ limit: '10mb' }));
 
 mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
-}).then(() => console.log('MongoDB connected'));
+}).then(() => {
+  console.log('MongoDB connected');
+  // Converts boards stored before member roles existed.
+  return migrateBoardMembers();
+});
+
+startWebhookWorker();
+startAutomationScheduler();
+startReminderScheduler();
 
 app.get("/", (req, res) => {
   res.json({ message: "Hello from /" });
 });
 app.use('/api/auth', authRoutes.router);
+// Mounted before boardRoutes so GET /templates is not taken for a board id.
+app.use('/api/boards', templateRoutes);
 app.use('/api/boards', boardRoutes);
+app.use('/api/boards', commentRoutes);
+app.use('/api/boards', checklistRoutes);
+app.use('/api/boards', attachmentRoutes);
+app.use('/api/boards', dependencyRoutes);
+app.use('/api/boards', timesheetRoutes);
+app.use('/api/boards', labelRoutes);
+app.use('/api/boards', archiveRoutes);
+app.use('/api/boards', transferRoutes);
+app.use('/api/boards', webhookRoutes);
+app.use('/api/boards', recommendationRoutes);
+app.use('/api/boards', analyticsRoutes);
+app.use('/api/boards', wipRoutes);
+app.use('/api/boards', automationRoutes);
+app.use('/api/boards', shareRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/notifications', notificationRoutes);
+// Anonymous read-only views of public and shared boards.
+app.use('/api/public', publicRoutes);
 
 const PORT = process.env.PORT || 4000;
 
@@ -0,0 +1,92 @@
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Card = require('../models/Card');
+
+const ROLE_RANK = { viewer: 1, member: 2, admin: 3, owner: 4 };
+
+const getBoardRole = (board, userId) => {
+  if (!board || !userId) return null;
+
+  const ownerId = board.owner._id || board.owner;
+  if (ownerId.toString() === userId.toString()) return 'owner';
+
+  const member = board.members.find(
+    (m) => m.user && (m.user._id || m.user).toString() === userId.toString(),
+  );
+  return member ? member.role : null;
+};
+
+const hasRole = (role, minRole) =>
+  Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+
+// Only the owner may hand out or take away admin rights.
+const canAssignRole = (actorRole, role) =>
+  role === 'admin' ? actorRole === 'owner' : hasRole(actorRole, 'admin');
+
+const loadContext = async (req, from) => {
+  if (from.card) {
+    const card = await Card.findById(req.params[from.card]);
+    if (!card) return { notFound: 'Card not found' };
+
+    const list = await List.findById(card.list);
+    const board = list && (await Board.findById(list.board));
+    if (!board) return { notFound: 'List or board not found' };
+
+    return { board, list, card };
+  }
+
+  if (from.list) {
+    const list = await List.findById(req.params[from.list]);
+    if (!list) return { notFound: 'List not found' };
+
+    const board = await Board.findById(list.board);
+    if (!board) return { notFound: 'Board not found' };
+
+    return { board, list };
+  }
+
+  const board = await Board.findById(req.params[from.board || 'id']);
+  if (!board) return { notFound: 'Board not found' };
+
+  return { board };
+};
+
+const requireBoardRole =
+  (minRole, from = { board: 'id' }) =>
+  async (req, res, next) => {
+    try {
+      const { notFound, board, list, card } = await loadContext(req, from);
+      if (notFound) {
+        return res.status(404).json({ message: notFound });
+      }
+
+      const role = getBoardRole(board, req.user.id);
+      if (!role) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      if (!hasRole(role, minRole)) {
+        return res
+          .status(403)
+          .json({ message: `This action requires the ${minRole} role` });
+      }
+
+      req.board = board;
+      req.boardRole = role;
+      if (list) req.list = list;
+      if (card) req.card = card;
+
+      next();
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+
+module.exports = {
+  ROLE_RANK,
+  getBoardRole,
+  hasRole,
+  canAssignRole,
+  requireBoardRole,
+};
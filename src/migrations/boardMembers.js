@@ -0,0 +1,52 @@
+// Board.members used to be a plain array of user ids. Since roles were
+// introduced each entry is a { user, role } subdocument, and getBoardRole
+// no longer recognizes the old ids, so boards stored before that change
+// must be converted. Every plain id becomes a `member`, which matches the
+// access those users had before roles existed.
+//
+// The conversion is idempotent. It runs on every server start, and can be
+// run on its own before a deploy with `npm run migrate:board-members`.
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+
+const migrateBoardMembers = async () => {
+  const { modifiedCount } = await Board.collection.updateMany(
+    { members: { $type: 'objectId' } },
+    [
+      {
+        $set: {
+          members: {
+            $map: {
+              input: '$members',
+              as: 'm',
+              in: {
+                $cond: [
+                  { $eq: [{ $type: '$$m' }, 'objectId'] },
+                  { user: '$$m', role: 'member' },
+                  '$$m',
+                ],
+              },
+            },
+          },
+        },
+      },
+    ],
+  );
+  return modifiedCount;
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(migrateBoardMembers)
+    .then((count) => console.log(`Migrated members of ${count} board(s)`))
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrateBoardMembers };
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const activitySchema = new mongoose.Schema({
+  board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board', required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, required: true },
+  target: {
+    kind: {
+      type: String,
+      enum: ['Board', 'List', 'Card', 'User', 'Invitation'],
+      required: true
+    },
+    id: { type: mongoose.Schema.Types.ObjectId, required: true },
+    name: { type: String, default: '' }
+  },
+  card: { type: mongoose.Schema.Types.ObjectId, ref: 'Card' },
+  // Set when the change was made by an automation rule.
+  rule: { type: mongoose.Schema.Types.ObjectId, ref: 'AutomationRule' },
+  diff: {
+    before: { type: mongoose.Schema.Types.Mixed, default: {} },
+    after: { type: mongoose.Schema.Types.Mixed, default: {} }
+  }
+}, { timestamps: true });
+
+activitySchema.index({ board: 1, createdAt: -1 });
+activitySchema.index({ card: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  card: { type: mongoose.Schema.Types.ObjectId, ref: 'Card', required: true },
+  board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board', required: true },
+  name: { type: String, required: true },
+  size: { type: Number, required: true },
+  mimeType: { type: String, required: true },
+  storageKey: { type: String, required: true, select: false },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+attachmentSchema.index({ card: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const automationRuleSchema = new mongoose.Schema({
+  board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board', required: true },
+  name: { type: String, required: true },
+  enabled: { type: Boolean, default: true },
+  trigger: {
+    type: {
+      type: String,
+      enum: [
+        'card.created',
+        'card.moved_to_list',
+        'card.status_changed',
+        'card.priority_changed',
+        'card.due_passed'
+      ],
+      required: true
+    },
+    // Optional filters: the list the card is (now) in, and the new
+    // status or priority for the *_changed triggers.
+    list: { type: mongoose.Schema.Types.ObjectId, ref: 'List' },
+    value: String
+  },
+  actions: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['set_status', 'move_to_list', 'assign_user', 'set_due_date', 'add_label'],
+      required: true
+    },
+    status: String,
+    list: { type: mongoose.Schema.Types.ObjectId, ref: 'List' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    dueInDays: Number,
+    label: mongoose.Schema.Types.ObjectId
+  }],
+  // End of the last due-date sweep window this rule has processed.
+  lastSweptAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+automationRuleSchema.index({ board: 1, enabled: 1 });
+automationRuleSchema.index({ 'trigger.type': 1, enabled: 1 });
+
+module.exports = mongoose.model('AutomationRule', automationRuleSchema);
@@ -4,9 +4,48 @@ const boardSchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: { type: String, default: '' },
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  members: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: {
+      type: String,
+      enum: ['admin', 'member', 'viewer'],
+      default: 'member'
+    }
+  }],
   lists: [{ type: mongoose.Schema.Types.ObjectId, ref: 'List' }],
-  isPublic: { type: Boolean, default: false }
+  labels: [{
+    name: { type: String, required: true },
+    color: { type: String, default: '#b3bac5' }
+  }],
+  isPublic: { type: Boolean, default: false },
+  isTemplate: { type: Boolean, default: false },
+  wipMode: { type: String, enum: ['strict', 'soft'], default: 'strict' },
+  recommendationSettings: {
+    statusLists: {
+      type: Map,
+      of: { type: mongoose.Schema.Types.ObjectId, ref: 'List' },
+      default: {}
+    },
+    disabledRules: [{ type: String }],
+    thresholds: {
+      dueSoonDays: Number,
+      upcomingDays: Number,
+      inProgressDueSoonDays: Number
+    },
+    severities: {
+      type: Map,
+      of: { type: String, enum: ['high', 'medium', 'low'] },
+      default: {}
+    }
+  },
+  archived: { type: Boolean, default: false },
+  archivedAt: Date
 }, { timestamps: true });
 
+boardSchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 5, description: 1 } }
+);
+
 module.exports = mongoose.model('Board', boardSchema);
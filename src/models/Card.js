@@ -4,8 +4,10 @@ const cardSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: { type: String, default: '' },
   list: { type: mongoose.Schema.Types.ObjectId, ref: 'List', required: true },
-  position: { type: Number, default: 0 },
+  position: { type: String, default: '' },
   dueDate: Date,
+  estimate: { type: Number, min: 0, default: null },
+  estimateUnit: { type: String, enum: ['hours', 'points'], default: 'hours' },
   priority: { 
     type: String, 
     enum: ['Critical', 'High', 'Medium', 'Low'], 
@@ -17,7 +19,45 @@ const cardSchema = new mongoose.Schema({
     default: 'Todo' 
   },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  assignedTo: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
-}, { timestamps: true });
+  assignedTo: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  archived: { type: Boolean, default: false },
+  archivedAt: Date,
+  labels: [{ type: mongoose.Schema.Types.ObjectId }],
+  // Cards that must be Done before this one can proceed; may be on other boards.
+  blockedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Card' }],
+  checklists: [{
+    name: { type: String, required: true },
+    items: [{
+      text: { type: String, required: true },
+      done: { type: Boolean, default: false },
+      assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      dueDate: Date
+    }]
+  }],
+  // Exposed as the card's ETag for If-Match. As the version key with
+  // optimisticConcurrency, every save is conditional on it and bumps it with
+  // $inc, so a stale document fails with a VersionError instead of writing.
+  version: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  versionKey: 'version',
+  optimisticConcurrency: true
+});
+
+cardSchema.virtual('checklistSummary').get(function () {
+  const items = (this.checklists || []).flatMap((c) => c.items || []);
+  return {
+    completed: items.filter((item) => item.done).length,
+    total: items.length
+  };
+});
+
+cardSchema.index({ list: 1, position: 1 });
+cardSchema.index({ blockedBy: 1 });
+cardSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 5, description: 1 } }
+);
 
 module.exports = mongoose.model('Card', cardSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const cardTransitionSchema = new mongoose.Schema({
+  board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board', required: true },
+  card: { type: mongoose.Schema.Types.ObjectId, ref: 'Card', required: true },
+  field: { type: String, enum: ['status', 'list'], required: true },
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now }
+});
+
+cardTransitionSchema.index({ board: 1, field: 1, at: 1 });
+cardTransitionSchema.index({ card: 1, at: 1 });
+
+module.exports = mongoose.model('CardTransition', cardTransitionSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  card: { type: mongoose.Schema.Types.ObjectId, ref: 'Card', required: true },
+  board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board', required: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  body: { type: String, required: true },
+  mentions: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    handle: { type: String, required: true },
+    offset: { type: Number, required: true }
+  }],
+  editedAt: Date
+}, { timestamps: true });
+
+commentSchema.index({ card: 1, createdAt: 1 });
+commentSchema.index({ 'mentions.user': 1, createdAt: -1 });
+commentSchema.index({ body: 'text' });
+
+module.exports = mongoose.model('Comment', commentSchema);
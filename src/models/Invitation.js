@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board', required: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  invitee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: {
+    type: String,
+    enum: ['admin', 'member', 'viewer'],
+    default: 'member'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  tokenHash: { type: String, index: true, sparse: true },
+  expiresAt: { type: Date, required: true },
+  respondedAt: Date
+}, { timestamps: true });
+
+invitationSchema.index({ board: 1, email: 1, status: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -3,8 +3,22 @@ const mongoose = require('mongoose');
 const listSchema = new mongoose.Schema({
   name: { type: String, required: true },
   board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board', required: true },
-  position: { type: Number, default: 0 },
-  cards: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Card' }]
-}, { timestamps: true });
+  position: { type: String, default: '' },
+  cards: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Card' }],
+  wipLimit: { type: Number, min: 1, default: null },
+  archived: { type: Boolean, default: false },
+  archivedAt: Date
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+// Number of active cards, shown next to wipLimit when populated.
+listSchema.virtual('cardCount', {
+  ref: 'Card',
+  localField: '_id',
+  foreignField: 'list',
+  count: true,
+  match: { archived: { $ne: true } }
+});
+
+listSchema.index({ name: 'text' });
 
 module.exports = mongoose.model('List', listSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: {
+    type: String,
+    enum: ['card.assigned', 'card.due_soon', 'board.invited', 'comment.mentioned'],
+    required: true
+  },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board' },
+  card: { type: mongoose.Schema.Types.ObjectId, ref: 'Card' },
+  invitation: { type: mongoose.Schema.Types.ObjectId, ref: 'Invitation' },
+  message: { type: String, required: true },
+  // Identifies a notification that must only be sent once (e.g. a reminder).
+  key: String,
+  readAt: { type: Date, default: null }
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ key: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const shareLinkSchema = new mongoose.Schema({
+  board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  label: { type: String, default: '' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: Date,
+  revokedAt: Date,
+  lastUsedAt: Date
+}, { timestamps: true });
+
+shareLinkSchema.index({ board: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const timeEntrySchema = new mongoose.Schema({
+  card: { type: mongoose.Schema.Types.ObjectId, ref: 'Card', required: true },
+  board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  minutes: { type: Number, required: true, min: 1 },
+  // The day the work was done, not when it was logged.
+  date: { type: Date, required: true },
+  note: { type: String, default: '' }
+}, { timestamps: true });
+
+timeEntrySchema.index({ card: 1, date: -1 });
+timeEntrySchema.index({ board: 1, date: 1 });
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
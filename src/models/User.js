@@ -4,7 +4,12 @@ const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  boards: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Board' }]
+  boards: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Board' }],
+  tokensValidAfter: Date,
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  // Notification type -> false to opt out; missing types are delivered.
+  notificationPreferences: { type: Map, of: Boolean, default: {} }
 }, { timestamps: true });
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+const webhookSchema = new mongoose.Schema({
+  board: { type: mongoose.Schema.Types.ObjectId, ref: 'Board', required: true },
+  url: { type: String, required: true },
+  events: [{ type: String, required: true }],
+  secret: { type: String, required: true, select: false },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+webhookSchema.index({ board: 1, active: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
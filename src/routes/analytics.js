@@ -0,0 +1,72 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole } = require('../middleware/boardAccess');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const CardTransition = require('../models/CardTransition');
+const { computeFlowMetrics } = require('../services/analytics');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+const parseRange = (query, now) => {
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - 30 * DAY_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'Invalid date range' };
+  }
+  if (from > to) {
+    return { error: '"from" must be before "to"' };
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+  return { from, to };
+};
+
+router.get(
+  '/:id/analytics',
+  authenticateToken,
+  requireBoardRole('viewer'),
+  async (req, res) => {
+    const now = new Date();
+    const { from, to, error: rangeError } = parseRange(req.query, now);
+
+    if (rangeError) {
+      return res.status(400).json({ message: rangeError });
+    }
+
+    try {
+      const lists = await List.find({ board: req.board._id }, '_id');
+      const cards = await Card.find(
+        { list: { $in: lists.map((l) => l._id) } },
+        'title status priority assignedTo createdAt',
+      );
+      const transitions = await CardTransition.find({
+        board: req.board._id,
+        field: 'status',
+      }).sort({ at: 1 });
+
+      const analytics = computeFlowMetrics({
+        cards,
+        transitions,
+        statuses: Card.schema.path('status').enumValues,
+        from,
+        to,
+        now,
+      });
+
+      res.json({ analytics });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
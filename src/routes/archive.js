@@ -0,0 +1,192 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole } = require('../middleware/boardAccess');
+const boardEvents = require('../services/boardEvents');
+const { recordActivity } = require('../services/activity');
+const { inTransaction } = require('../services/transaction');
+const {
+  removeCards,
+  removeLists,
+  removeBoard,
+  removeFiles,
+} = require('../services/cleanup');
+
+const router = express.Router();
+
+const KINDS = { board: 'Board', list: 'List', card: 'Card' };
+
+const archiveHandler = (kind, archived) => async (req, res) => {
+  const target = req[kind];
+
+  try {
+    if (Boolean(target.archived) === archived) {
+      return res.status(400).json({
+        message: `${KINDS[kind]} is ${archived ? 'already' : 'not'} archived`,
+      });
+    }
+
+    target.archived = archived;
+    target.archivedAt = archived ? new Date() : undefined;
+    await target.save();
+
+    const action = `${kind}.${archived ? 'archived' : 'unarchived'}`;
+
+    await recordActivity({
+      board: req.board._id,
+      actor: req.user.id,
+      action,
+      target: {
+        kind: KINDS[kind],
+        id: target._id,
+        name: target.name || target.title,
+      },
+      card: kind === 'card' ? target._id : undefined,
+      diff: { before: { archived: !archived }, after: { archived } },
+    });
+
+    boardEvents.publish(req.board._id, action, {
+      actor: req.user.id,
+      [kind]: target,
+    });
+
+    res.json({ [kind]: target });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+router.post(
+  '/:id/archive',
+  authenticateToken,
+  requireBoardRole('admin'),
+  archiveHandler('board', true),
+);
+
+router.post(
+  '/:id/unarchive',
+  authenticateToken,
+  requireBoardRole('admin'),
+  archiveHandler('board', false),
+);
+
+router.post(
+  '/lists/:id/archive',
+  authenticateToken,
+  requireBoardRole('admin', { list: 'id' }),
+  archiveHandler('list', true),
+);
+
+router.post(
+  '/lists/:id/unarchive',
+  authenticateToken,
+  requireBoardRole('admin', { list: 'id' }),
+  archiveHandler('list', false),
+);
+
+router.post(
+  '/cards/:id/archive',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  archiveHandler('card', true),
+);
+
+router.post(
+  '/cards/:id/unarchive',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  archiveHandler('card', false),
+);
+
+router.delete(
+  '/:id',
+  authenticateToken,
+  requireBoardRole('owner'),
+  async (req, res) => {
+    const { board } = req;
+
+    try {
+      const storageKeys = await inTransaction((session) =>
+        removeBoard(board, session),
+      );
+      await removeFiles(storageKeys);
+
+      boardEvents.publish(board._id, 'board.deleted', { actor: req.user.id });
+
+      res.json({ message: 'Board deleted successfully' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/lists/:id',
+  authenticateToken,
+  requireBoardRole('owner', { list: 'id' }),
+  async (req, res) => {
+    const { board, list } = req;
+
+    try {
+      const storageKeys = await inTransaction((session) =>
+        removeLists([list._id], session),
+      );
+      await removeFiles(storageKeys);
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'list.deleted',
+        target: { kind: 'List', id: list._id, name: list.name },
+      });
+
+      boardEvents.publish(board._id, 'list.deleted', {
+        actor: req.user.id,
+        listId: list._id,
+      });
+
+      res.json({ message: 'List deleted successfully' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/cards/:id',
+  authenticateToken,
+  requireBoardRole('owner', { card: 'id' }),
+  async (req, res) => {
+    const { board, card } = req;
+
+    try {
+      const storageKeys = await inTransaction((session) =>
+        removeCards([card._id], session),
+      );
+      await removeFiles(storageKeys);
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'card.deleted',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+      });
+
+      boardEvents.publish(board._id, 'card.deleted', {
+        actor: req.user.id,
+        cardId: card._id,
+        listId: card.list,
+      });
+
+      res.json({ message: 'Card deleted successfully' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
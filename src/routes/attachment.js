@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken, authenticateStream } = require('./auth');
+const { requireBoardRole, hasRole } = require('../middleware/boardAccess');
+const Attachment = require('../models/Attachment');
+const boardEvents = require('../services/boardEvents');
+const { recordActivity } = require('../services/activity');
+const { getStorage } = require('../services/storage');
+
+const router = express.Router();
+
+// Read per request so values from .env apply however early this loads.
+const maxBytes = () =>
+  Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+// Comma-separated MIME types; "image/*" style wildcards match a whole family.
+const allowedTypes = () =>
+  (
+    process.env.ATTACHMENT_ALLOWED_TYPES ||
+    'image/*,application/pdf,text/plain,text/csv,application/zip'
+  )
+    .split(',')
+    .map((type) => type.trim().toLowerCase())
+    .filter(Boolean);
+
+const isAllowedType = (mimeType) => {
+  const type = mimeType.toLowerCase();
+  return allowedTypes().some((allowed) =>
+    allowed.endsWith('/*')
+      ? type.startsWith(allowed.slice(0, -1))
+      : type === allowed,
+  );
+};
+
+const upload = (limit) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: limit, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (isAllowedType(file.mimetype)) return cb(null, true);
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.code = 'UNSUPPORTED_TYPE';
+      cb(error);
+    },
+  });
+
+// Runs after the access checks so nothing is read from unauthorized callers.
+const receiveFile = (req, res, next) => {
+  const limit = maxBytes();
+  upload(limit).single('file')(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res
+        .status(413)
+        .json({ message: `File exceeds the ${limit} byte limit` });
+    }
+    if (error.code === 'UNSUPPORTED_TYPE') {
+      return res.status(415).json({ message: error.message });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: error.message });
+    }
+    next(error);
+  });
+};
+
+const findAttachment = (req, select) =>
+  Attachment.findOne({
+    _id: req.params.attachmentId,
+    card: req.card._id,
+  }).select(select);
+
+router.get(
+  '/cards/:id/attachments',
+  authenticateToken,
+  requireBoardRole('viewer', { card: 'id' }),
+  async (req, res) => {
+    try {
+      const attachments = await Attachment.find({ card: req.card._id })
+        .populate('uploadedBy', 'name email')
+        .sort({ createdAt: -1 });
+
+      res.json({ attachments });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.post(
+  '/cards/:id/attachments',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  receiveFile,
+  async (req, res) => {
+    const { board, card, file } = req;
+
+    if (!file) {
+      return res.status(400).json({ message: 'A "file" field is required' });
+    }
+
+    try {
+      const storageKey = `${board._id}/${card._id}/${crypto
+        .randomBytes(16)
+        .toString('hex')}`;
+      await getStorage().put(storageKey, file.buffer, {
+        contentType: file.mimetype,
+      });
+
+      const attachment = await Attachment.create({
+        card: card._id,
+        board: board._id,
+        // Multer decodes header parameters as latin1.
+        name: Buffer.from(file.originalname, 'latin1').toString('utf8'),
+        size: file.size,
+        mimeType: file.mimetype,
+        storageKey,
+        uploadedBy: req.user.id,
+      });
+      attachment.storageKey = undefined;
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'attachment.added',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: {
+          before: {},
+          after: { attachment: attachment._id, name: attachment.name },
+        },
+      });
+
+      boardEvents.publish(board._id, 'attachment.added', {
+        actor: req.user.id,
+        cardId: card._id,
+        attachment,
+      });
+
+      res.status(201).json({ attachment });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+// Uses authenticateStream so plain links (<a href>, <img src>) can pass the
+// token as ?token=.
+router.get(
+  '/cards/:id/attachments/:attachmentId/download',
+  authenticateStream,
+  requireBoardRole('viewer', { card: 'id' }),
+  async (req, res) => {
+    try {
+      const attachment = await findAttachment(req, '+storageKey');
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      const stream = await getStorage().get(attachment.storageKey);
+
+      res.attachment(attachment.name);
+      res.set({
+        'Content-Type': attachment.mimeType,
+        'Content-Length': attachment.size,
+        'X-Content-Type-Options': 'nosniff',
+      });
+      stream.on('error', (error) => {
+        console.error(error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ message: 'Attachment file is missing' });
+      }
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/cards/:id/attachments/:attachmentId',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  async (req, res) => {
+    const { board, card } = req;
+
+    try {
+      const attachment = await findAttachment(req, '+storageKey');
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      if (
+        attachment.uploadedBy.toString() !== req.user.id &&
+        !hasRole(req.boardRole, 'admin')
+      ) {
+        return res
+          .status(403)
+          .json({ message: 'Not allowed to delete this attachment' });
+      }
+
+      await attachment.deleteOne();
+      await getStorage().remove(attachment.storageKey);
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'attachment.deleted',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: { before: { name: attachment.name }, after: {} },
+      });
+
+      boardEvents.publish(board._id, 'attachment.deleted', {
+        actor: req.user.id,
+        cardId: card._id,
+        attachmentId: attachment._id,
+      });
+
+      res.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -3,22 +3,66 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const {
+  TokenError,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require('../services/tokens');
+const {
+  consumeAccountToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} = require('../services/accountMail');
+const { claimInvitations } = require('../services/invitations');
+const { isMailConfigured } = require('../services/mailer');
 
 const router = express.Router();
 
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+const mailUnavailable = (res) =>
+  res.status(503).json({ message: 'Email is not configured on this server' });
 
+const verifyToken = (token, req, res, next) => {
   if (!token) return res.sendStatus(401);
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) return res.sendStatus(403);
+
+    try {
+      const account = await User.findById(user.id, 'tokensValidAfter');
+      if (
+        !account ||
+        (account.tokensValidAfter &&
+          user.iat * 1000 < account.tokensValidAfter.getTime())
+      ) {
+        return res.sendStatus(401);
+      }
+    } catch (error) {
+      console.error(error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
     req.user = user;
     next();
   });
 };
 
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  verifyToken(token, req, res, next);
+};
+
+// EventSource cannot send headers, so streams may pass the JWT as ?token=
+const authenticateStream = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = (authHeader && authHeader.split(' ')[1]) || req.query.token;
+
+  verifyToken(token, req, res, next);
+};
+
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
@@ -47,20 +91,26 @@ router.post('/register', [
     });
 
     await user.save();
-    
-    const token = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error(mailError);
+    }
+
+    const invitations = await claimInvitations(user, req.body.inviteToken);
+
+    const { token, refreshToken } = await issueSession(user, req.get('user-agent'));
 
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email
-      }
+      },
+      joinedBoards: invitations.map((invitation) => invitation.board)
     });
   } catch (error) {
     console.error(error);
@@ -85,21 +135,77 @@ router.post('/login', [
     if (!user || !(await bcrypt.compare(password, user.password))) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
-    
-    const token = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
+
+    const { token, refreshToken } = await issueSession(user, req.get('user-agent'));
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { user, token, refreshToken } = await rotateSession(
+      req.body.refreshToken,
+      req.get('user-agent')
     );
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email
       }
     });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await revokeSession(req.body.refreshToken);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    res.json({ message: 'Logged out from all devices' });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -119,4 +225,205 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-module.exports = { router, authenticateToken };
+router.patch('/profile', authenticateToken, [
+  body('name').optional().trim().isLength({ min: 1 }),
+  body('email').optional().isEmail().normalizeEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, email } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (name !== undefined) {
+      user.name = name;
+    }
+
+    const emailChanged = email !== undefined && email !== user.email;
+    if (emailChanged) {
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res.status(400).json({ message: 'Email already in use' });
+      }
+
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
+
+    await user.save();
+
+    let warning;
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error(mailError);
+        warning = 'Email updated, but the verification email could not be sent';
+      }
+    }
+
+    res.json({
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified
+      },
+      warning
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/change-password', authenticateToken, [
+  body('currentPassword').exists(),
+  body('newPassword').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || !(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    // Every other session ends; the caller gets a fresh one.
+    user.tokensValidAfter = await revokeAllSessions(user._id);
+    const { token, refreshToken } = await issueSession(user, req.get('user-agent'));
+
+    res.json({ message: 'Password changed successfully', token, refreshToken });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (!isMailConfigured()) {
+    return mailUnavailable(res);
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Same answer either way so the endpoint cannot be used to probe emails.
+    res.json({ message: 'If the account exists, a reset email has been sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { token, password } = req.body;
+
+  try {
+    const userId = await consumeAccountToken(token, 'password_reset');
+    const user = userId && (await User.findById(userId));
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const userId = await consumeAccountToken(req.body.token, 'email_verification');
+    const user = userId && (await User.findById(userId));
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    // Invitations sent to this address can be honored now that it is proven.
+    const invitations = await claimInvitations(user);
+
+    res.json({
+      message: 'Email verified successfully',
+      joinedBoards: invitations.map((invitation) => invitation.board)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  if (!isMailConfigured()) {
+    return mailUnavailable(res);
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email already verified' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = { router, authenticateToken, authenticateStream };
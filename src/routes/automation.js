@@ -0,0 +1,298 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole, getBoardRole } = require('../middleware/boardAccess');
+const AutomationRule = require('../models/AutomationRule');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const { recordActivity } = require('../services/activity');
+const { TRIGGERS, ACTIONS, dryRun } = require('../services/automation');
+
+const router = express.Router();
+
+const STATUSES = Card.schema.path('status').enumValues;
+const PRIORITIES = Card.schema.path('priority').enumValues;
+
+// The one setting each action type needs.
+const ACTION_FIELDS = {
+  set_status: 'status',
+  move_to_list: 'list',
+  assign_user: 'user',
+  set_due_date: 'dueInDays',
+  add_label: 'label',
+};
+
+const isBoardList = async (board, listId) =>
+  mongoose.isValidObjectId(listId) &&
+  Boolean(
+    await List.exists({
+      _id: listId,
+      board: board._id,
+      archived: { $ne: true },
+    }),
+  );
+
+const validateTrigger = async (board, trigger) => {
+  if (!trigger || !TRIGGERS.includes(trigger.type)) {
+    return `Trigger type must be one of ${TRIGGERS.join(', ')}`;
+  }
+  if (trigger.type === 'card.moved_to_list' && !trigger.list) {
+    return 'A card.moved_to_list trigger needs a list';
+  }
+  if (trigger.list && !(await isBoardList(board, trigger.list))) {
+    return 'Trigger list must be an active list on this board';
+  }
+  if (trigger.value) {
+    const allowed = {
+      'card.status_changed': STATUSES,
+      'card.priority_changed': PRIORITIES,
+    }[trigger.type];
+    if (!allowed || !allowed.includes(trigger.value)) {
+      return `Invalid trigger value ${trigger.value}`;
+    }
+  }
+  return null;
+};
+
+const validateAction = async (board, action) => {
+  const field = action && ACTION_FIELDS[action.type];
+  if (!field) return `Action type must be one of ${ACTIONS.join(', ')}`;
+
+  const value = action[field];
+  const valid = {
+    set_status: () => STATUSES.includes(value),
+    move_to_list: () => isBoardList(board, value),
+    assign_user: () =>
+      mongoose.isValidObjectId(value) && Boolean(getBoardRole(board, value)),
+    set_due_date: () => Number.isInteger(value) && value >= 0,
+    add_label: () =>
+      mongoose.isValidObjectId(value) && Boolean(board.labels.id(value)),
+  }[action.type];
+
+  return (await valid()) ? null : `Invalid ${field} for ${action.type}`;
+};
+
+// Checks a full rule, or only the parts present when `partial` is set.
+const validateRule = async (board, rule, partial = false) => {
+  const { name, trigger, actions } = rule;
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return 'Name is required';
+  }
+  if (trigger !== undefined || !partial) {
+    const invalid = await validateTrigger(board, trigger);
+    if (invalid) return invalid;
+  }
+  if (actions !== undefined || !partial) {
+    if (!Array.isArray(actions) || actions.length === 0) {
+      return 'At least one action is required';
+    }
+    for (const action of actions) {
+      const invalid = await validateAction(board, action);
+      if (invalid) return invalid;
+    }
+  }
+  return null;
+};
+
+const normalizeTrigger = ({ type, list, value }) => ({
+  type,
+  list: list || undefined,
+  value: value || undefined,
+});
+
+const normalizeActions = (actions) =>
+  actions.map((action) => ({
+    type: action.type,
+    [ACTION_FIELDS[action.type]]: action[ACTION_FIELDS[action.type]],
+  }));
+
+const findRule = (req) =>
+  AutomationRule.findOne({ _id: req.params.ruleId, board: req.board._id });
+
+const recordRuleActivity = (req, action, rule) =>
+  recordActivity({
+    board: req.board._id,
+    actor: req.user.id,
+    action,
+    target: { kind: 'Board', id: req.board._id, name: req.board.name },
+    rule: rule._id,
+    diff: { before: {}, after: { rule: rule._id, name: rule.name } },
+  });
+
+router.get(
+  '/:id/automations',
+  authenticateToken,
+  requireBoardRole('viewer'),
+  async (req, res) => {
+    try {
+      const rules = await AutomationRule.find({ board: req.board._id }).sort({
+        createdAt: 1,
+      });
+
+      res.json({ rules, triggers: TRIGGERS, actions: ACTIONS });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.post(
+  '/:id/automations',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    const { name, trigger, actions, enabled } = req.body;
+
+    try {
+      const invalid = await validateRule(req.board, req.body);
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+
+      const rule = await AutomationRule.create({
+        board: req.board._id,
+        name: name.trim(),
+        enabled: enabled !== false,
+        trigger: normalizeTrigger(trigger),
+        actions: normalizeActions(actions),
+        createdBy: req.user.id,
+      });
+
+      await recordRuleActivity(req, 'automation.created', rule);
+
+      res.status(201).json({ rule });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.post(
+  '/:id/automations/dry-run',
+  authenticateToken,
+  requireBoardRole('member'),
+  async (req, res) => {
+    const { cardId, changes = {}, event, rule: draft } = req.body;
+    const { board } = req;
+
+    try {
+      const card = mongoose.isValidObjectId(cardId)
+        ? await Card.findById(cardId)
+        : null;
+      const list = card && (await List.findById(card.list));
+      if (!list || list.board.toString() !== board._id.toString()) {
+        return res.status(404).json({ message: 'Card not found' });
+      }
+
+      const unknown = Object.keys(changes).find(
+        (field) => !['list', 'status', 'priority'].includes(field),
+      );
+      if (unknown) {
+        return res
+          .status(400)
+          .json({ message: `Cannot simulate a change to ${unknown}` });
+      }
+      if (
+        (changes.list && !(await isBoardList(board, changes.list))) ||
+        (changes.status && !STATUSES.includes(changes.status)) ||
+        (changes.priority && !PRIORITIES.includes(changes.priority))
+      ) {
+        return res.status(400).json({ message: 'Invalid simulated change' });
+      }
+      if (event && !['card.created', 'card.due_passed'].includes(event)) {
+        return res
+          .status(400)
+          .json({ message: 'Event must be card.created or card.due_passed' });
+      }
+
+      let extraRule = null;
+      if (draft) {
+        const invalid = await validateRule(board, draft);
+        if (invalid) {
+          return res.status(400).json({ message: invalid });
+        }
+        extraRule = new AutomationRule({
+          board: board._id,
+          name: draft.name.trim(),
+          trigger: normalizeTrigger(draft.trigger),
+          actions: normalizeActions(draft.actions),
+          createdBy: req.user.id,
+        });
+      }
+
+      const preview = await dryRun({
+        board,
+        card,
+        changes,
+        event,
+        extraRule,
+      });
+
+      res.json(preview);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.patch(
+  '/:id/automations/:ruleId',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    const { name, trigger, actions, enabled } = req.body;
+
+    try {
+      const rule = await findRule(req);
+      if (!rule) {
+        return res.status(404).json({ message: 'Automation rule not found' });
+      }
+
+      const invalid = await validateRule(req.board, req.body, true);
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+
+      if (name !== undefined) rule.name = name.trim();
+      if (enabled !== undefined) rule.enabled = Boolean(enabled);
+      if (trigger !== undefined) rule.trigger = normalizeTrigger(trigger);
+      if (actions !== undefined) rule.actions = normalizeActions(actions);
+      await rule.save();
+
+      await recordRuleActivity(req, 'automation.updated', rule);
+
+      res.json({ rule });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/:id/automations/:ruleId',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    try {
+      const rule = await findRule(req);
+      if (!rule) {
+        return res.status(404).json({ message: 'Automation rule not found' });
+      }
+
+      await rule.deleteOne();
+      await recordRuleActivity(req, 'automation.deleted', rule);
+
+      res.json({ message: 'Automation rule deleted successfully' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
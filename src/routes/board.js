@@ -1,17 +1,68 @@
 const express = require('express');
-const { authenticateToken } = require('./auth');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, authenticateStream } = require('./auth');
+const {
+  requireBoardRole,
+  getBoardRole,
+  canAssignRole,
+} = require('../middleware/boardAccess');
 const Board = require('../models/Board');
 const List = require('../models/List');
 const Card = require('../models/Card');
 const User = require('../models/User');
+const Activity = require('../models/Activity');
+const Invitation = require('../models/Invitation');
+const boardEvents = require('../services/boardEvents');
+const { diffFields, recordActivity } = require('../services/activity');
+const { recordTransitions } = require('../services/transitions');
+const { rankAt, loadInOrder } = require('../services/ordering');
+const { pendingFilter, createInvitation } = require('../services/invitations');
+const { checkWipLimit } = require('../services/wip');
+const { runAutomations } = require('../services/automation');
+const { notifyAssignees } = require('../services/notifications');
+const { releaseDependents } = require('../services/dependencies');
 
 const router = express.Router();
 
+const parseIndex = (position, fallback) => {
+  if (position === undefined || position === null) return fallback;
+  const index = Number(position);
+  return Number.isInteger(index) && index >= 0 ? index : null;
+};
+
+// Everything else on a card has its own route (move, labels, checklists...).
+const CARD_UPDATE_FIELDS = [
+  'title',
+  'description',
+  'dueDate',
+  'priority',
+  'status',
+  'assignedTo',
+  'estimate',
+  'estimateUnit',
+];
+
+const cardEtag = (card) => `"${card.version}"`;
+
+// Returns the version an If-Match header asks for, null when there is no
+// precondition, or NaN when the header cannot be a card ETag.
+const parseIfMatch = (header) => {
+  if (!header || header.trim() === '*') return null;
+  const match = /^(?:W\/)?"(\d+)"$/.exec(header.trim());
+  return match ? Number(match[1]) : NaN;
+};
+
 router.get('/', authenticateToken, async (req, res) => {
+  const includeArchived = req.query.includeArchived === 'true';
+
   try {
-    const boards = await Board.find({
-      $or: [{ owner: req.user.id }, { members: req.user.id }],
-    })
+    const filter = {
+      $or: [{ owner: req.user.id }, { 'members.user': req.user.id }],
+    };
+    if (!includeArchived) filter.archived = { $ne: true };
+
+    const boards = await Board.find(filter)
       .populate('owner', 'name email')
       .sort({ createdAt: -1 });
 
@@ -30,7 +81,7 @@ router.post('/', authenticateToken, async (req, res) => {
       name,
       description: description || '',
       owner: req.user.id,
-      members: [req.user.id],
+      members: [{ user: req.user.id, role: 'admin' }],
     });
 
     await board.save();
@@ -39,6 +90,13 @@ router.post('/', authenticateToken, async (req, res) => {
       $push: { boards: board._id },
     });
 
+    await recordActivity({
+      board: board._id,
+      actor: req.user.id,
+      action: 'board.created',
+      target: { kind: 'Board', id: board._id, name: board.name },
+    });
+
     res.status(201).json({ board });
   } catch (error) {
     console.error(error);
@@ -46,151 +104,444 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-router.get('/:id', authenticateToken, async (req, res) => {
-  try {
-    const board = await Board.findById(req.params.id)
-      .populate('owner', 'name email')
-      .populate('members', 'name email')
-      .populate({
-        path: 'lists',
-        populate: {
-          path: 'cards',
-          populate: {
-            path: 'createdBy',
-            select: 'name email',
-          },
-        },
-      });
+router.get(
+  '/:id',
+  authenticateToken,
+  requireBoardRole('viewer'),
+  async (req, res) => {
+    const labelIds = req.query.labels ? req.query.labels.split(',') : [];
+    const match = req.query.match === 'all' ? 'all' : 'any';
+    const includeArchived = req.query.includeArchived === 'true';
 
-    if (!board) {
-      return res.status(404).json({ message: 'Board not found' });
-    }
+    try {
+      if (req.board.archived && !includeArchived) {
+        return res.status(404).json({ message: 'Board is archived' });
+      }
 
-    if (
-      board.owner.toString() !== req.user.id &&
-      !board.members.some((m) => m._id.toString() === req.user.id)
-    ) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+      const unknownLabel = labelIds.find((id) => !req.board.labels.id(id));
+      if (unknownLabel) {
+        return res
+          .status(400)
+          .json({ message: `Unknown label ${unknownLabel}` });
+      }
 
-    res.json({ board });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+      const listMatch = includeArchived ? {} : { archived: { $ne: true } };
+      const cardMatch = { ...listMatch };
+      if (labelIds.length) {
+        cardMatch.labels = { [match === 'all' ? '$all' : '$in']: labelIds };
+      }
 
-router.post('/:id/invite', authenticateToken, async (req, res) => {
-  const { email } = req.body;
+      const board = await Board.findById(req.board._id)
+        .populate('owner', 'name email')
+        .populate('members.user', 'name email')
+        .populate({
+          path: 'lists',
+          match: listMatch,
+          populate: [
+            {
+              path: 'cards',
+              match: cardMatch,
+              populate: {
+                path: 'createdBy',
+                select: 'name email',
+              },
+            },
+            { path: 'cardCount' },
+          ],
+        });
 
-  try {
-    const board = await Board.findById(req.params.id);
-    if (!board) {
-      return res.status(404).json({ message: 'Board not found' });
+      res.json({ board, role: req.boardRole });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
     }
+  },
+);
 
-    if (board.owner.toString() !== req.user.id) {
-      return res
-        .status(403)
-        .json({ message: 'Only board owner can invite users' });
+router.get(
+  '/:id/events',
+  authenticateStream,
+  requireBoardRole('viewer'),
+  (req, res) => {
+    boardEvents.subscribe(req.board._id, req.user.id, res);
+  },
+);
+
+router.post(
+  '/:id/invite',
+  authenticateToken,
+  requireBoardRole('admin'),
+  [body('email').isEmail().normalizeEmail()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const userToInvite = await User.findOne({ email });
-    if (!userToInvite) {
-      return res.status(404).json({ message: 'User not found' });
+    const { email, role = 'member' } = req.body;
+    const { board } = req;
+
+    try {
+      if (!['admin', 'member', 'viewer'].includes(role)) {
+        return res.status(400).json({ message: 'Invalid role' });
+      }
+
+      if (!canAssignRole(req.boardRole, role)) {
+        return res
+          .status(403)
+          .json({ message: 'Only board owner can grant the admin role' });
+      }
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser && getBoardRole(board, existingUser._id)) {
+        return res.status(400).json({ message: 'User already in board' });
+      }
+
+      const pending = await Invitation.findOne({
+        ...pendingFilter(),
+        board: board._id,
+        email,
+      });
+      if (pending) {
+        return res.status(400).json({ message: 'Invitation already pending' });
+      }
+
+      const inviter = await User.findById(req.user.id);
+      const invitation = await createInvitation({
+        board,
+        email,
+        role,
+        inviter,
+      });
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'member.invited',
+        target: { kind: 'Invitation', id: invitation._id, name: email },
+        diff: { before: {}, after: { email, role } },
+      });
+
+      boardEvents.publish(board._id, 'member.invited', {
+        actor: req.user.id,
+        invitation: {
+          _id: invitation._id,
+          email,
+          role,
+          expiresAt: invitation.expiresAt,
+        },
+      });
+
+      res.status(201).json({ message: 'Invitation sent', invitation });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
     }
+  },
+);
 
-    if (board.members.includes(userToInvite._id)) {
-      return res.status(400).json({ message: 'User already in board' });
+router.get(
+  '/:id/invitations',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    try {
+      const invitations = await Invitation.find({
+        ...pendingFilter(),
+        board: req.board._id,
+      })
+        .select('-tokenHash')
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 });
+
+      res.json({ invitations });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
     }
+  },
+);
+
+router.delete(
+  '/:id/invitations/:invitationId',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    const { board } = req;
+
+    try {
+      const invitation = await Invitation.findOne({
+        _id: req.params.invitationId,
+        board: board._id,
+        status: 'pending',
+      });
+      if (!invitation) {
+        return res.status(404).json({ message: 'Invitation not found' });
+      }
 
-    if (!board.members) {
-      board.members = [];
+      invitation.status = 'revoked';
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'member.invitation_revoked',
+        target: {
+          kind: 'Invitation',
+          id: invitation._id,
+          name: invitation.email,
+        },
+      });
+
+      res.json({ message: 'Invitation revoked' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
     }
+  },
+);
+
+router.patch(
+  '/:id/members/:userId',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+    const { board } = req;
+
+    try {
+      if (!['admin', 'member', 'viewer'].includes(role)) {
+        return res.status(400).json({ message: 'Invalid role' });
+      }
+
+      const currentRole = getBoardRole(board, userId);
+      if (!currentRole) {
+        return res.status(404).json({ message: 'Member not found' });
+      }
+
+      if (currentRole === 'owner') {
+        return res.status(400).json({
+          message: 'Use transfer-ownership to change the owner role',
+        });
+      }
+
+      if (
+        !canAssignRole(req.boardRole, currentRole) ||
+        !canAssignRole(req.boardRole, role)
+      ) {
+        return res
+          .status(403)
+          .json({ message: 'Only board owner can grant or revoke admin' });
+      }
+
+      const member = board.members.find((m) => m.user.toString() === userId);
+      member.role = role;
+      await board.save();
 
-    board.members.push(userToInvite._id);
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'member.role_changed',
+        target: { kind: 'User', id: member.user },
+        diff: { before: { role: currentRole }, after: { role } },
+      });
 
-    if (!userToInvite.boards) {
-      userToInvite.boards = [];
+      res.json({ member });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
     }
+  },
+);
 
-    userToInvite.boards.push(board._id);
+router.delete(
+  '/:id/members/:userId',
+  authenticateToken,
+  requireBoardRole('viewer'),
+  async (req, res) => {
+    const { userId } = req.params;
+    const { board } = req;
 
-    await board.save();
-    await userToInvite.save();
+    try {
+      const currentRole = getBoardRole(board, userId);
+      if (!currentRole) {
+        return res.status(404).json({ message: 'Member not found' });
+      }
 
-    res.json({ message: 'User invited successfully' });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+      if (currentRole === 'owner') {
+        return res
+          .status(400)
+          .json({ message: 'Board owner cannot be removed' });
+      }
 
-router.post('/:boardId/lists', authenticateToken, async (req, res) => {
-  const { boardId } = req.params;
-  const { name } = req.body;
+      const isSelf = userId === req.user.id;
+      if (!isSelf && !canAssignRole(req.boardRole, currentRole)) {
+        return res
+          .status(403)
+          .json({ message: 'Not allowed to remove this member' });
+      }
 
-  try {
-    const board = await Board.findById(boardId);
-    if (
-      !board ||
-      (board.owner.toString() !== req.user.id &&
-        !board.members.some((m) => m._id.toString() === req.user.id))
-    ) {
-      return res.status(403).json({ message: 'Access denied' });
+      board.members = board.members.filter((m) => m.user.toString() !== userId);
+      await board.save();
+
+      await User.findByIdAndUpdate(userId, {
+        $pull: { boards: board._id },
+      });
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'member.removed',
+        target: { kind: 'User', id: userId },
+        diff: { before: { role: currentRole }, after: {} },
+      });
+
+      boardEvents.disconnectUser(board._id, userId);
+
+      res.json({ message: 'Member removed successfully' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
     }
+  },
+);
+
+router.post(
+  '/:id/transfer-ownership',
+  authenticateToken,
+  requireBoardRole('owner'),
+  async (req, res) => {
+    const { userId } = req.body;
+    const { board } = req;
+
+    try {
+      const currentRole = getBoardRole(board, userId);
+      if (!currentRole) {
+        return res
+          .status(400)
+          .json({ message: 'New owner must be a board member' });
+      }
+
+      if (currentRole === 'owner') {
+        return res.status(400).json({ message: 'User already owns the board' });
+      }
+
+      const previousOwner = board.owner;
+      board.owner = userId;
+      board.members.find((m) => m.user.toString() === userId).role = 'admin';
 
-    if (!board.lists) {
-      board.lists = [];
+      const previous = board.members.find(
+        (m) => m.user.toString() === previousOwner.toString(),
+      );
+      if (previous) {
+        previous.role = 'admin';
+      } else {
+        board.members.push({ user: previousOwner, role: 'admin' });
+      }
+
+      await board.save();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'board.ownership_transferred',
+        target: { kind: 'Board', id: board._id, name: board.name },
+        diff: {
+          before: { owner: previousOwner.toString() },
+          after: { owner: userId },
+        },
+      });
+
+      res.json({ board });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
     }
+  },
+);
 
-    const listCount = await List.countDocuments({ board: boardId });
-    const list = new List({
-      name,
-      board: boardId,
-      position: listCount,
-    });
+router.post(
+  '/:boardId/lists',
+  authenticateToken,
+  requireBoardRole('admin', { board: 'boardId' }),
+  async (req, res) => {
+    const { boardId } = req.params;
+    const { name } = req.body;
+    const { board } = req;
 
-    await list.save();
+    try {
+      if (!board.lists) {
+        board.lists = [];
+      }
 
-    board.lists.push(list._id);
-    await board.save();
+      const siblings = await loadInOrder(List, board.lists, {
+        board: boardId,
+      });
+      const list = new List({
+        name,
+        board: boardId,
+        position: rankAt(siblings, siblings.length),
+      });
 
-    res.status(201).json({ list });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+      await list.save();
+
+      board.lists.push(list._id);
+      await board.save();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'list.created',
+        target: { kind: 'List', id: list._id, name: list.name },
+      });
+
+      boardEvents.publish(board._id, 'list.created', {
+        actor: req.user.id,
+        list,
+      });
+
+      res.status(201).json({ list });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
 
 router.post(
   '/:boardId/lists/:listId/cards',
   authenticateToken,
+  requireBoardRole('member', { board: 'boardId' }),
   async (req, res) => {
     const { boardId, listId } = req.params;
     const { title, description, dueDate } = req.body;
 
     try {
-      const board = await Board.findById(boardId);
       const list = await List.findById(listId);
 
-      if (!board || !list || list.board.toString() !== boardId) {
+      if (!list || list.board.toString() !== boardId) {
         return res.status(404).json({ message: 'Board or list not found' });
       }
 
-      if (
-        board.owner.toString() !== req.user.id &&
-        !board.members.some((m) => m._id.toString() === req.user.id)
-      ) {
-        return res.status(403).json({ message: 'Access denied' });
+      if (list.archived) {
+        return res.status(400).json({ message: 'List is archived' });
+      }
+
+      const wip = await checkWipLimit(list);
+      if (wip && req.board.wipMode !== 'soft') {
+        return res.status(409).json({ message: wip.message, wip });
       }
 
-      const cardCount = await Card.countDocuments({ list: listId });
+      const siblings = await loadInOrder(Card, list.cards || [], {
+        list: listId,
+      });
       const card = new Card({
         title,
         description: description || '',
         list: listId,
-        position: cardCount,
+        position: rankAt(siblings, siblings.length),
         dueDate: dueDate ? new Date(dueDate) : null,
         createdBy: req.user.id,
       });
@@ -208,7 +559,40 @@ router.post(
         'createdBy',
         'name email',
       );
-      res.status(201).json({ card: populatedCard });
+
+      await recordActivity({
+        board: boardId,
+        actor: req.user.id,
+        action: 'card.created',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: { before: {}, after: { list: listId } },
+      });
+
+      await recordTransitions({
+        board: boardId,
+        card,
+        actor: req.user.id,
+        before: null,
+      });
+
+      boardEvents.publish(boardId, 'card.created', {
+        actor: req.user.id,
+        card: populatedCard,
+      });
+
+      const automations = await runAutomations({
+        board: req.board,
+        card: populatedCard,
+        before: null,
+        actor: req.user.id,
+      });
+
+      res.status(201).json({
+        card: populatedCard,
+        automations,
+        warning: wip || undefined,
+      });
     } catch (error) {
       console.error(error);
       res.status(500).json({ message: 'Server error' });
@@ -216,306 +600,394 @@ router.post(
   },
 );
 
-router.patch('/cards/:id/move', authenticateToken, async (req, res) => {
-  const { id } = req.params;
-  const { newListId, position } = req.body;
+router.patch(
+  '/cards/:id/move',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  async (req, res) => {
+    const { newListId, position } = req.body;
+    const { card, board, list: oldList } = req;
 
-  try {
-    const card = await Card.findById(id);
-    if (!card) {
-      return res.status(404).json({ message: 'Card not found' });
+    if (!mongoose.isValidObjectId(newListId)) {
+      return res.status(400).json({ message: 'Invalid list' });
     }
 
-    const oldList = await List.findById(card.list);
-    const newList = await List.findById(newListId);
-    const board = await Board.findById(newList.board);
+    try {
+      const newList = await List.findById(newListId);
+      if (!newList) {
+        return res.status(404).json({ message: 'List or board not found' });
+      }
 
-    if (!oldList || !newList || !board) {
-      return res.status(404).json({ message: 'List or board not found' });
-    }
+      if (newList.board.toString() !== board._id.toString()) {
+        return res
+          .status(400)
+          .json({ message: 'Cannot move card to a list on another board' });
+      }
 
-    if (
-      board.owner.toString() !== req.user.id &&
-      !board.members.some((m) => m._id.toString() === req.user.id)
-    ) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+      if (newList.archived) {
+        return res.status(400).json({ message: 'List is archived' });
+      }
 
-    await List.findByIdAndUpdate(oldList._id, {
-      $pull: { cards: card._id },
-    });
+      const index = parseIndex(position, newList.cards.length);
+      if (index === null) {
+        return res
+          .status(400)
+          .json({ message: 'Position must be a non-negative integer' });
+      }
 
-    await List.findByIdAndUpdate(newListId, {
-      $push: { cards: card._id },
-    });
+      const wip = await checkWipLimit(newList, card._id);
+      if (wip && board.wipMode !== 'soft') {
+        return res.status(409).json({ message: wip.message, wip });
+      }
 
-    card.list = newListId;
-    card.position = position || 0;
-    await card.save();
+      const before = {
+        list: card.list,
+        position: card.position,
+        status: card.status,
+        priority: card.priority,
+      };
+      let placedAt = index;
+
+      // The pull and the reordered set must land together, otherwise a
+      // failure in between leaves the card in no list. Needs a replica set.
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          const target = await List.findById(newListId).session(session);
+          const siblings = (
+            await loadInOrder(Card, target.cards, { list: target._id }, session)
+          ).filter((c) => !c._id.equals(card._id));
+
+          placedAt = Math.min(index, siblings.length);
+          card.list = target._id;
+          card.position = rankAt(siblings, placedAt);
+          await card.save({ session });
+
+          if (!oldList._id.equals(target._id)) {
+            await List.updateOne(
+              { _id: oldList._id },
+              { $pull: { cards: card._id } },
+              { session },
+            );
+          }
 
-    res.json({ card });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+          const cardIds = siblings.map((c) => c._id);
+          cardIds.splice(placedAt, 0, card._id);
+          await List.updateOne(
+            { _id: target._id },
+            { $set: { cards: cardIds } },
+            { session },
+          );
+        });
+      } finally {
+        await session.endSession();
+      }
 
-router.get('/:id/recommendations', authenticateToken, async (req, res) => {
-  try {
-    const board = await Board.findById(req.params.id).populate({
-      path: 'lists',
-      populate: {
-        path: 'cards',
-      },
-    });
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'card.moved',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: diffFields(before, card, ['list', 'position']),
+      });
 
-    if (
-      !board ||
-      (board.owner.toString() !== req.user.id &&
-        !board.members.some((m) => m._id.toString() === req.user.id))
-    ) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+      await recordTransitions({
+        board: board._id,
+        card,
+        actor: req.user.id,
+        before,
+      });
 
-    const recommendations = {
-      alerts: [],
-      priority: [],
-      dueDate: [],
-      status: [],
-    };
+      boardEvents.publish(board._id, 'card.moved', {
+        actor: req.user.id,
+        card,
+        fromListId: oldList._id,
+        toListId: newList._id,
+        index: placedAt,
+      });
 
-    const allCards = [];
-    board.lists.forEach((list) => {
-      allCards.push(...list.cards);
-    });
+      const automations = await runAutomations({
+        board,
+        card,
+        before,
+        actor: req.user.id,
+      });
 
-    const now = new Date();
+      res.json({
+        card,
+        index: placedAt,
+        automations,
+        warning: wip || undefined,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
 
-    allCards.forEach((card) => {
-      if (card.priority === 'Critical') {
-        const criticalList = board.lists.find((l) =>
-          l.name.toLowerCase().includes('in progress'),
-        );
-        if (
-          criticalList &&
-          !criticalList.cards.some(
-            (c) => c._id.toString() === card._id.toString(),
-          )
-        ) {
-          recommendations.priority.push({
-            cardId: card._id,
-            cardTitle: card.title,
-            type: 'critical_priority',
-            reason: 'Critical priority task should be in progress immediately',
-            severity: 'high',
-            action: 'Move to "In Progress" list',
-          });
-        }
-      }
+router.patch(
+  '/lists/:id/move',
+  authenticateToken,
+  requireBoardRole('admin', { list: 'id' }),
+  async (req, res) => {
+    const { position } = req.body;
+    const { board, list } = req;
 
-      if (card.priority === 'High') {
-        const todoList = board.lists.find(
-          (l) =>
-            l.name.toLowerCase().includes('todo') ||
-            l.name.toLowerCase().includes('backlog'),
-        );
-        if (
-          todoList &&
-          todoList.cards.some((c) => c._id.toString() === card._id.toString())
-        ) {
-          recommendations.priority.push({
-            cardId: card._id,
-            cardTitle: card.title,
-            type: 'high_priority_waiting',
-            reason: 'High priority task is waiting in backlog',
-            severity: 'medium',
-            action: 'Consider moving to "In Progress" if resources allow',
-          });
-        }
+    try {
+      const index = parseIndex(position, null);
+      if (index === null) {
+        return res
+          .status(400)
+          .json({ message: 'Position must be a non-negative integer' });
       }
 
-      if (card.dueDate) {
-        const dueDate = new Date(card.dueDate);
-        const daysUntilDue = Math.ceil((dueDate - now) / (1000 * 60 * 60 * 24));
-
-        if (daysUntilDue < 0) {
-          if (card.status !== 'Done') {
-            recommendations.dueDate.push({
-              cardId: card._id,
-              cardTitle: card.title,
-              type: 'overdue',
-              reason: `Task was due ${Math.abs(
-                daysUntilDue,
-              )} day(s) ago but is not completed`,
-              severity: card.priority === 'Critical' ? 'high' : 'medium',
-              action:
-                card.status === 'Blocked'
-                  ? 'Resolve blocking issues and complete task'
-                  : 'Complete task immediately',
-            });
-          }
-        } else if (daysUntilDue <= 2) {
-          if (card.status !== 'Done' && card.status !== 'In Progress') {
-            recommendations.dueDate.push({
-              cardId: card._id,
-              cardTitle: card.title,
-              type: 'due_soon',
-              reason: `Task is due in ${daysUntilDue} day(s) but not yet in progress`,
-              severity: card.priority === 'Critical' ? 'high' : 'medium',
-              action: 'Move to "In Progress" and prioritize completion',
-            });
-          }
-        } else if (daysUntilDue <= 7 && card.status === 'Backlog') {
-          recommendations.dueDate.push({
-            cardId: card._id,
-            cardTitle: card.title,
-            type: 'upcoming_deadline',
-            reason: `Task due in ${daysUntilDue} days is still in backlog`,
-            severity: 'low',
-            action: 'Consider starting work or adjusting timeline',
-          });
-        }
-      } else {
-        if (card.priority === 'Critical' || card.priority === 'High') {
-          recommendations.dueDate.push({
-            cardId: card._id,
-            cardTitle: card.title,
-            type: 'no_due_date_high_priority',
-            reason: `${card.priority} priority task has no due date`,
-            severity: card.priority === 'Critical' ? 'medium' : 'low',
-            action: 'Set a realistic due date for proper planning',
-          });
-        }
+      const before = { position: list.position };
+      let placedAt = index;
+
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          const current = await Board.findById(board._id).session(session);
+          const siblings = (
+            await loadInOrder(
+              List,
+              current.lists,
+              { board: board._id },
+              session,
+            )
+          ).filter((l) => !l._id.equals(list._id));
+
+          placedAt = Math.min(index, siblings.length);
+          list.position = rankAt(siblings, placedAt);
+          await list.save({ session });
+
+          const listIds = siblings.map((l) => l._id);
+          listIds.splice(placedAt, 0, list._id);
+          await Board.updateOne(
+            { _id: board._id },
+            { $set: { lists: listIds } },
+            { session },
+          );
+        });
+      } finally {
+        await session.endSession();
       }
 
-      const currentListIndex = board.lists.findIndex((l) =>
-        l.cards.some((c) => c._id.toString() === card._id.toString()),
-      );
-      const currentList = board.lists[currentListIndex];
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'list.moved',
+        target: { kind: 'List', id: list._id, name: list.name },
+        diff: diffFields(before, list, ['position']),
+      });
 
-      if (card.status === 'In Progress') {
-        if (card.dueDate) {
-          const dueDate = new Date(card.dueDate);
-          const daysUntilDue = Math.ceil(
-            (dueDate - now) / (1000 * 60 * 60 * 24),
-          );
+      boardEvents.publish(board._id, 'list.moved', {
+        actor: req.user.id,
+        list,
+        index: placedAt,
+      });
 
-          if (daysUntilDue < 0) {
-            recommendations.status.push({
-              cardId: card._id,
-              cardTitle: card.title,
-              type: 'in_progress_overdue',
-              reason: 'Task is in progress but past due date',
-              severity: 'high',
-              action: 'Complete immediately or escalate',
-            });
-          } else if (daysUntilDue <= 1) {
-            recommendations.status.push({
-              cardId: card._id,
-              cardTitle: card.title,
-              type: 'in_progress_due_soon',
-              reason: `In progress task due in ${daysUntilDue} day(s)`,
-              severity: 'medium',
-              action: 'Focus on completing this task',
-            });
-          }
-        }
-      }
+      res.json({ list, index: placedAt });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
 
-      if (card.status === 'Blocked') {
-        recommendations.status.push({
-          cardId: card._id,
-          cardTitle: card.title,
-          type: 'blocked_task',
-          reason: 'Task is blocked and needs attention',
-          severity: 'medium',
-          action: 'Identify and resolve blocking issues',
-        });
-      }
+router.get(
+  '/:id/activity',
+  authenticateToken,
+  requireBoardRole('viewer'),
+  async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      100,
+    );
+    const { user, card, action } = req.query;
+
+    if (user && !mongoose.isValidObjectId(user)) {
+      return res.status(400).json({ message: 'Invalid user' });
+    }
+    if (card && !mongoose.isValidObjectId(card)) {
+      return res.status(400).json({ message: 'Invalid card' });
+    }
 
-      if (card.status === 'Todo' && card.priority === 'Critical') {
-        recommendations.status.push({
-          cardId: card._id,
-          cardTitle: card.title,
-          type: 'critical_in_todo',
-          reason: 'Critical priority task should not remain in Todo',
-          severity: 'high',
-          action: 'Move to "In Progress" immediately',
-        });
-      }
+    try {
+      const filter = { board: req.board._id };
+      if (user) filter.actor = user;
+      if (card) filter.card = card;
+      if (action) filter.action = { $in: action.split(',') };
+
+      const [activities, total] = await Promise.all([
+        Activity.find(filter)
+          .populate('actor', 'name email')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Activity.countDocuments(filter),
+      ]);
+
+      res.json({ activities, page, limit, total });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
 
-      if (
-        card.status === 'Done' &&
-        !currentList.name.toLowerCase().includes('done')
-      ) {
-        const doneList = board.lists.find(
-          (l) =>
-            l.name.toLowerCase().includes('done') ||
-            l.name.toLowerCase().includes('complete'),
+router.get(
+  '/cards/:id/history',
+  authenticateToken,
+  requireBoardRole('viewer', { card: 'id' }),
+  async (req, res) => {
+    try {
+      const history = await Activity.find({ card: req.card._id })
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 });
+
+      res.json({ history });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.patch(
+  '/cards/:id',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  [
+    body('title').optional().trim().isLength({ min: 1 }),
+    body('description').optional().isString(),
+    body('dueDate').optional({ values: 'null' }).isISO8601(),
+    body('priority').optional().isIn(Card.schema.path('priority').enumValues),
+    body('status').optional().isIn(Card.schema.path('status').enumValues),
+    body('assignedTo').optional().isArray(),
+    body('assignedTo.*').isMongoId(),
+    body('estimate').optional({ values: 'null' }).isFloat({ min: 0 }),
+    body('estimateUnit')
+      .optional()
+      .isIn(Card.schema.path('estimateUnit').enumValues),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const unknown = Object.keys(req.body).filter(
+      (field) => !CARD_UPDATE_FIELDS.includes(field),
+    );
+    if (unknown.length) {
+      return res
+        .status(400)
+        .json({ message: `Cannot update ${unknown.join(', ')}` });
+    }
+
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    if (Number.isNaN(expectedVersion)) {
+      return res.status(400).json({ message: 'Invalid If-Match header' });
+    }
+
+    try {
+      const updates = Object.fromEntries(
+        CARD_UPDATE_FIELDS.filter((field) => field in req.body).map((field) => [
+          field,
+          req.body[field],
+        ]),
+      );
+      if ('dueDate' in updates) {
+        updates.dueDate = updates.dueDate ? new Date(updates.dueDate) : null;
+      }
+      if (updates.assignedTo) {
+        updates.assignedTo = [...new Set(updates.assignedTo)];
+        const outsider = updates.assignedTo.find(
+          (userId) => !getBoardRole(req.board, userId),
         );
-        if (doneList) {
-          recommendations.alerts.push({
-            cardId: card._id,
-            cardTitle: card.title,
-            type: 'move_to_done',
-            reason: 'Completed task should be moved to Done list',
-            severity: 'low',
-            action: 'Move to completed tasks list',
+        if (outsider) {
+          return res.status(400).json({
+            message: `User ${outsider} is not a member of this board`,
           });
         }
       }
-    });
 
-    const allRecommendations = [
-      ...recommendations.alerts,
-      ...recommendations.priority,
-      ...recommendations.dueDate,
-      ...recommendations.status,
-    ].sort((a, b) => {
-      const severityOrder = { high: 3, medium: 2, low: 1 };
-      return severityOrder[b.severity] - severityOrder[a.severity];
-    });
+      const filter = { _id: id };
+      if (expectedVersion !== null) filter.version = expectedVersion;
 
-    res.json({ recommendations: allRecommendations });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+      const updatedCard = await Card.findOneAndUpdate(
+        filter,
+        { $set: updates, $inc: { version: 1 } },
+        { new: true, runValidators: true },
+      ).populate('createdBy', 'name email');
 
-router.patch('/cards/:id', authenticateToken, async (req, res) => {
-  const { id } = req.params;
-  const updates = req.body;
+      if (!updatedCard) {
+        const current = await Card.findById(id).populate(
+          'createdBy',
+          'name email',
+        );
+        if (!current) {
+          return res.status(404).json({ message: 'Card not found' });
+        }
+        res.set('ETag', cardEtag(current));
+        return res.status(409).json({
+          message: 'Card was changed by someone else; reload and try again',
+          card: current,
+        });
+      }
 
-  try {
-    const card = await Card.findById(id);
-    if (!card) {
-      return res.status(404).json({ message: 'Card not found' });
-    }
+      await recordActivity({
+        board: req.board._id,
+        actor: req.user.id,
+        action: 'card.updated',
+        target: { kind: 'Card', id: updatedCard._id, name: updatedCard.title },
+        card: updatedCard._id,
+        diff: diffFields(req.card, updatedCard, Object.keys(updates)),
+      });
 
-    const list = await List.findById(card.list);
-    const board = await Board.findById(list.board);
+      await recordTransitions({
+        board: req.board._id,
+        card: updatedCard,
+        actor: req.user.id,
+        before: req.card,
+      });
 
-    if (
-      board.owner.toString() !== req.user.id &&
-      !board.members.some((m) => m._id.toString() === req.user.id)
-    ) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+      await notifyAssignees({
+        board: req.board,
+        card: updatedCard,
+        before: req.card,
+        actor: req.user.id,
+      });
 
-    if (updates.dueDate) {
-      updates.dueDate = new Date(updates.dueDate);
-    }
+      if (req.card.status !== updatedCard.status) {
+        await releaseDependents(updatedCard, req.user.id);
+      }
 
-    const updatedCard = await Card.findByIdAndUpdate(id, updates, {
-      new: true,
-    }).populate('createdBy', 'name email');
+      boardEvents.publish(req.board._id, 'card.updated', {
+        actor: req.user.id,
+        card: updatedCard,
+      });
 
-    res.json({ card: updatedCard });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+      const automations = await runAutomations({
+        board: req.board,
+        card: updatedCard,
+        before: req.card,
+        actor: req.user.id,
+      });
+
+      res.set('ETag', cardEtag(updatedCard));
+      res.json({ card: updatedCard, automations });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
 
 module.exports = router;
@@ -0,0 +1,336 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole, getBoardRole } = require('../middleware/boardAccess');
+const { recordActivity } = require('../services/activity');
+
+const router = express.Router();
+
+const logChecklistActivity = (req, action, diff) =>
+  recordActivity({
+    board: req.board._id,
+    actor: req.user.id,
+    action,
+    target: { kind: 'Card', id: req.card._id, name: req.card.title },
+    card: req.card._id,
+    diff,
+  });
+
+const validateItemFields = (board, { assignee, dueDate }) => {
+  if (assignee && !getBoardRole(board, assignee)) {
+    return 'Assignee must be a board member';
+  }
+  if (dueDate && Number.isNaN(new Date(dueDate).getTime())) {
+    return 'Invalid due date';
+  }
+  return null;
+};
+
+const nameRules = [
+  body('name').isString().withMessage('Checklist name is required'),
+];
+
+const itemRules = (optional) => [
+  (optional ? body('text').optional() : body('text'))
+    .isString()
+    .withMessage('Item text is required'),
+  body('assignee').optional({ values: 'falsy' }).isMongoId(),
+];
+
+router.post(
+  '/cards/:id/checklists',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  nameRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.body;
+    const { card } = req;
+
+    try {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ message: 'Checklist name is required' });
+      }
+
+      card.checklists.push({ name, items: [] });
+      await card.save();
+
+      const checklist = card.checklists[card.checklists.length - 1];
+
+      await logChecklistActivity(req, 'checklist.created', {
+        before: {},
+        after: { checklist: name },
+      });
+
+      res
+        .status(201)
+        .json({ checklist, checklistSummary: card.checklistSummary });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.patch(
+  '/cards/:id/checklists/:checklistId',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  nameRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.body;
+    const { card } = req;
+
+    try {
+      const checklist = card.checklists.id(req.params.checklistId);
+      if (!checklist) {
+        return res.status(404).json({ message: 'Checklist not found' });
+      }
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({ message: 'Checklist name is required' });
+      }
+
+      const before = checklist.name;
+      checklist.name = name;
+      await card.save();
+
+      await logChecklistActivity(req, 'checklist.updated', {
+        before: { checklist: before },
+        after: { checklist: name },
+      });
+
+      res.json({ checklist, checklistSummary: card.checklistSummary });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/cards/:id/checklists/:checklistId',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  async (req, res) => {
+    const { card } = req;
+
+    try {
+      const checklist = card.checklists.id(req.params.checklistId);
+      if (!checklist) {
+        return res.status(404).json({ message: 'Checklist not found' });
+      }
+
+      checklist.deleteOne();
+      await card.save();
+
+      await logChecklistActivity(req, 'checklist.deleted', {
+        before: { checklist: checklist.name },
+        after: {},
+      });
+
+      res.json({
+        message: 'Checklist deleted successfully',
+        checklistSummary: card.checklistSummary,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.post(
+  '/cards/:id/checklists/:checklistId/items',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  itemRules(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { text, assignee, dueDate } = req.body;
+    const { board, card } = req;
+
+    try {
+      const checklist = card.checklists.id(req.params.checklistId);
+      if (!checklist) {
+        return res.status(404).json({ message: 'Checklist not found' });
+      }
+
+      if (!text || !text.trim()) {
+        return res.status(400).json({ message: 'Item text is required' });
+      }
+
+      const invalid = validateItemFields(board, { assignee, dueDate });
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+
+      checklist.items.push({
+        text,
+        assignee: assignee || undefined,
+        dueDate: dueDate ? new Date(dueDate) : undefined,
+      });
+      await card.save();
+
+      const item = checklist.items[checklist.items.length - 1];
+
+      await logChecklistActivity(req, 'checklist.item_created', {
+        before: {},
+        after: { checklist: checklist.name, item: text },
+      });
+
+      res.status(201).json({ item, checklistSummary: card.checklistSummary });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.patch(
+  '/cards/:id/checklists/:checklistId/items/:itemId',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  [...itemRules(true), body('done').optional().isBoolean().toBoolean()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { text, done, assignee, dueDate } = req.body;
+    const { board, card } = req;
+
+    try {
+      const checklist = card.checklists.id(req.params.checklistId);
+      const item = checklist && checklist.items.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({ message: 'Checklist item not found' });
+      }
+
+      const invalid = validateItemFields(board, { assignee, dueDate });
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+
+      const before = { text: item.text, done: item.done };
+
+      if (text !== undefined) {
+        if (!text.trim()) {
+          return res.status(400).json({ message: 'Item text is required' });
+        }
+        item.text = text;
+      }
+      if (done !== undefined) item.done = done;
+      if (assignee !== undefined) item.assignee = assignee || undefined;
+      if (dueDate !== undefined) {
+        item.dueDate = dueDate ? new Date(dueDate) : undefined;
+      }
+
+      await card.save();
+
+      await logChecklistActivity(req, 'checklist.item_updated', {
+        before,
+        after: { text: item.text, done: item.done },
+      });
+
+      res.json({ item, checklistSummary: card.checklistSummary });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/cards/:id/checklists/:checklistId/items/:itemId',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  async (req, res) => {
+    const { card } = req;
+
+    try {
+      const checklist = card.checklists.id(req.params.checklistId);
+      const item = checklist && checklist.items.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({ message: 'Checklist item not found' });
+      }
+
+      item.deleteOne();
+      await card.save();
+
+      await logChecklistActivity(req, 'checklist.item_deleted', {
+        before: { checklist: checklist.name, item: item.text },
+        after: {},
+      });
+
+      res.json({
+        message: 'Checklist item deleted successfully',
+        checklistSummary: card.checklistSummary,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.patch(
+  '/cards/:id/checklists/:checklistId/items/:itemId/move',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  async (req, res) => {
+    const { position, toChecklistId } = req.body;
+    const { card } = req;
+
+    try {
+      const source = card.checklists.id(req.params.checklistId);
+      const item = source && source.items.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({ message: 'Checklist item not found' });
+      }
+
+      const target = toChecklistId ? card.checklists.id(toChecklistId) : source;
+      if (!target) {
+        return res.status(404).json({ message: 'Checklist not found' });
+      }
+
+      const index = Number(position);
+      if (!Number.isInteger(index) || index < 0) {
+        return res
+          .status(400)
+          .json({ message: 'Position must be a non-negative integer' });
+      }
+
+      const moved = item.toObject();
+      source.items.pull(item._id);
+      target.items.splice(Math.min(index, target.items.length), 0, moved);
+      await card.save();
+
+      await logChecklistActivity(req, 'checklist.item_moved', {
+        before: { checklist: source.name },
+        after: { checklist: target.name, position: index },
+      });
+
+      res.json({ checklist: target, checklistSummary: card.checklistSummary });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+// Aliased because handlers destructure the comment's own `body` field.
+const { body: field, validationResult } = require('express-validator');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole, hasRole } = require('../middleware/boardAccess');
+const Board = require('../models/Board');
+const Comment = require('../models/Comment');
+const { resolveMentions } = require('../services/mentions');
+const { notify } = require('../services/notifications');
+const { recordActivity } = require('../services/activity');
+
+const router = express.Router();
+
+// Keyed per comment, so editing a comment only notifies newly added mentions.
+const notifyMentioned = (req, comment) =>
+  notify({
+    recipients: comment.mentions.map((m) => m.user),
+    type: 'comment.mentioned',
+    actor: req.user.id,
+    board: req.board._id,
+    card: req.card._id,
+    message: `You were mentioned in a comment on "${req.card.title}"`,
+    key: `mention:${comment._id}`,
+  });
+
+router.get('/comments/mentions', authenticateToken, async (req, res) => {
+  try {
+    const boards = await Board.find(
+      { $or: [{ owner: req.user.id }, { 'members.user': req.user.id }] },
+      '_id',
+    );
+
+    const comments = await Comment.find({
+      'mentions.user': req.user.id,
+      board: { $in: boards.map((b) => b._id) },
+    })
+      .populate('author', 'name email')
+      .populate('card', 'title list')
+      .sort({ createdAt: -1 });
+
+    res.json({ comments });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get(
+  '/cards/:id/comments',
+  authenticateToken,
+  requireBoardRole('viewer', { card: 'id' }),
+  async (req, res) => {
+    try {
+      const comments = await Comment.find({ card: req.card._id })
+        .populate('author', 'name email')
+        .populate('mentions.user', 'name email')
+        .sort({ createdAt: 1 });
+
+      res.json({ comments });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.post(
+  '/cards/:id/comments',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  [
+    field('body').isString().withMessage('Comment body is required'),
+    field('parentId').optional({ values: 'null' }).isMongoId(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { body, parentId } = req.body;
+    const { board, card } = req;
+
+    try {
+      if (!body || !body.trim()) {
+        return res.status(400).json({ message: 'Comment body is required' });
+      }
+
+      if (parentId) {
+        const parent = await Comment.findById(parentId);
+        if (!parent || parent.card.toString() !== card._id.toString()) {
+          return res.status(404).json({ message: 'Parent comment not found' });
+        }
+      }
+
+      const comment = new Comment({
+        card: card._id,
+        board: board._id,
+        author: req.user.id,
+        parent: parentId || null,
+        body,
+        mentions: await resolveMentions(body, board),
+      });
+
+      await comment.save();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'comment.created',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: { before: {}, after: { comment: comment._id } },
+      });
+
+      await notifyMentioned(req, comment);
+
+      const populatedComment = await Comment.findById(comment._id)
+        .populate('author', 'name email')
+        .populate('mentions.user', 'name email');
+
+      res.status(201).json({ comment: populatedComment });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.patch(
+  '/cards/:id/comments/:commentId',
+  authenticateToken,
+  requireBoardRole('viewer', { card: 'id' }),
+  [field('body').isString().withMessage('Comment body is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { body } = req.body;
+    const { board, card } = req;
+
+    try {
+      const comment = await Comment.findById(req.params.commentId);
+      if (!comment || comment.card.toString() !== card._id.toString()) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+
+      if (comment.author.toString() !== req.user.id) {
+        return res
+          .status(403)
+          .json({ message: 'Only the author can edit this comment' });
+      }
+
+      if (!body || !body.trim()) {
+        return res.status(400).json({ message: 'Comment body is required' });
+      }
+
+      const before = comment.body;
+      comment.body = body;
+      comment.mentions = await resolveMentions(body, board);
+      comment.editedAt = new Date();
+      await comment.save();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'comment.updated',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: { before: { body: before }, after: { body } },
+      });
+
+      await notifyMentioned(req, comment);
+
+      const populatedComment = await Comment.findById(comment._id)
+        .populate('author', 'name email')
+        .populate('mentions.user', 'name email');
+
+      res.json({ comment: populatedComment });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/cards/:id/comments/:commentId',
+  authenticateToken,
+  requireBoardRole('viewer', { card: 'id' }),
+  async (req, res) => {
+    const { board, card } = req;
+
+    try {
+      const comment = await Comment.findById(req.params.commentId);
+      if (!comment || comment.card.toString() !== card._id.toString()) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+
+      if (
+        comment.author.toString() !== req.user.id &&
+        !hasRole(req.boardRole, 'admin')
+      ) {
+        return res
+          .status(403)
+          .json({ message: 'Not allowed to delete this comment' });
+      }
+
+      const threadIds = [comment._id];
+      for (let i = 0; i < threadIds.length; i++) {
+        const replies = await Comment.find({ parent: threadIds[i] }, '_id');
+        threadIds.push(...replies.map((r) => r._id));
+      }
+
+      await Comment.deleteMany({ _id: { $in: threadIds } });
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'comment.deleted',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: { before: { body: comment.body }, after: {} },
+      });
+
+      res.json({ message: 'Comment deleted successfully' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole, getBoardRole } = require('../middleware/boardAccess');
+const Card = require('../models/Card');
+const List = require('../models/List');
+const boardEvents = require('../services/boardEvents');
+const { recordActivity } = require('../services/activity');
+const {
+  isOpen,
+  boardOfCard,
+  wouldCreateCycle,
+  releaseIfUnblocked,
+} = require('../services/dependencies');
+
+const router = express.Router();
+
+// Summaries of `cards` the user may see; cards on boards they have no role
+// on are only counted.
+const describeCards = async (cards, userId) => {
+  const lists = await List.find(
+    { _id: { $in: cards.map((c) => c.list) } },
+    'board',
+  ).populate('board', 'name owner members');
+  const boardByList = new Map(lists.map((l) => [String(l._id), l.board]));
+
+  const visible = [];
+  let hidden = 0;
+  cards.forEach((card) => {
+    const board = boardByList.get(String(card.list));
+    if (!board || !getBoardRole(board, userId)) {
+      hidden += 1;
+      return;
+    }
+    visible.push({
+      _id: card._id,
+      title: card.title,
+      status: card.status,
+      priority: card.priority,
+      archived: card.archived,
+      open: isOpen(card),
+      board: { _id: board._id, name: board.name },
+    });
+  });
+  return { cards: visible, hidden };
+};
+
+router.get(
+  '/cards/:id/dependencies',
+  authenticateToken,
+  requireBoardRole('viewer', { card: 'id' }),
+  async (req, res) => {
+    const { card } = req;
+    const fields = 'title status priority archived list';
+
+    try {
+      const blockers = await Card.find(
+        { _id: { $in: card.blockedBy } },
+        fields,
+      );
+      const dependents = await Card.find({ blockedBy: card._id }, fields);
+
+      const blockedBy = await describeCards(blockers, req.user.id);
+      const blocks = await describeCards(dependents, req.user.id);
+
+      res.json({
+        blockedBy: blockedBy.cards,
+        blocks: blocks.cards,
+        hidden: blockedBy.hidden + blocks.hidden,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.post(
+  '/cards/:id/dependencies',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  async (req, res) => {
+    const { blockerId } = req.body;
+    const { board, card } = req;
+
+    try {
+      const blocker = mongoose.isValidObjectId(blockerId)
+        ? await Card.findById(blockerId)
+        : null;
+      const blockerBoard = blocker && (await boardOfCard(blocker));
+      if (!blockerBoard || !getBoardRole(blockerBoard, req.user.id)) {
+        return res.status(404).json({ message: 'Blocking card not found' });
+      }
+
+      if (blocker._id.equals(card._id)) {
+        return res.status(400).json({ message: 'A card cannot block itself' });
+      }
+      if (card.blockedBy.some((id) => id.equals(blocker._id))) {
+        return res.status(400).json({ message: 'Dependency already exists' });
+      }
+      if (await wouldCreateCycle(card._id, blocker._id)) {
+        return res
+          .status(409)
+          .json({ message: 'This dependency would create a cycle' });
+      }
+
+      card.blockedBy.push(blocker._id);
+      await card.save();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'card.dependency_added',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: { before: {}, after: { blockedBy: blocker._id } },
+      });
+
+      boardEvents.publish(board._id, 'card.updated', {
+        actor: req.user.id,
+        card,
+      });
+
+      res.status(201).json({ card });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/cards/:id/dependencies/:blockerId',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  async (req, res) => {
+    const { blockerId } = req.params;
+    const { board, card } = req;
+
+    try {
+      if (!card.blockedBy.some((id) => id.toString() === blockerId)) {
+        return res.status(404).json({ message: 'Dependency not found' });
+      }
+
+      card.blockedBy.pull(blockerId);
+      await card.save();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'card.dependency_removed',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: { before: { blockedBy: blockerId }, after: {} },
+      });
+
+      // Dropping the last open blocker releases the card like finishing it.
+      const released = await releaseIfUnblocked(card, req.user.id);
+      if (!released) {
+        boardEvents.publish(board._id, 'card.updated', {
+          actor: req.user.id,
+          card,
+        });
+      }
+
+      res.json({ card });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
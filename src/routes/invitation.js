@@ -0,0 +1,111 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken } = require('./auth');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { recordActivity } = require('../services/activity');
+const { pendingFilter, acceptInvitation } = require('../services/invitations');
+
+const router = express.Router();
+
+// Invitations are addressed by email, so only a verified address may see or
+// answer them; otherwise anyone registering with that address could join.
+const verificationRequired = (res) =>
+  res
+    .status(403)
+    .json({ message: 'Verify your email address to use invitations' });
+
+const findMine = (user, extra = {}) =>
+  Invitation.find({
+    ...pendingFilter(),
+    ...extra,
+    $or: [{ invitee: user._id }, { email: user.email }],
+  });
+
+const findMineById = async (user, id) => {
+  if (!user || !mongoose.isValidObjectId(id)) return null;
+  const [invitation] = await findMine(user, { _id: id });
+  return invitation || null;
+};
+
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.emailVerified) {
+      return verificationRequired(res);
+    }
+
+    const invitations = await findMine(user)
+      .select('-tokenHash')
+      .populate('board', 'name description')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ invitations });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user && !user.emailVerified) {
+      return verificationRequired(res);
+    }
+    const invitation = await findMineById(user, req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const board = await acceptInvitation(invitation, user);
+    if (!board) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+
+    res.json({ message: 'Invitation accepted', boardId: board._id });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/:id/decline', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user && !user.emailVerified) {
+      return verificationRequired(res);
+    }
+    const invitation = await findMineById(user, req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    invitation.status = 'declined';
+    invitation.invitee = user._id;
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    await recordActivity({
+      board: invitation.board,
+      actor: user._id,
+      action: 'member.invitation_declined',
+      target: {
+        kind: 'Invitation',
+        id: invitation._id,
+        name: invitation.email,
+      },
+    });
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,250 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole } = require('../middleware/boardAccess');
+const Card = require('../models/Card');
+const { recordActivity } = require('../services/activity');
+
+const router = express.Router();
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const labelRules = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .isString()
+    .withMessage('Label name is required'),
+  body('color').optional().isString(),
+];
+
+const findByName = (board, name, exceptId) =>
+  board.labels.find(
+    (l) =>
+      l.name.toLowerCase() === name.trim().toLowerCase() &&
+      (!exceptId || l._id.toString() !== exceptId),
+  );
+
+router.get(
+  '/:id/labels',
+  authenticateToken,
+  requireBoardRole('viewer'),
+  (req, res) => {
+    res.json({ labels: req.board.labels });
+  },
+);
+
+router.post(
+  '/:id/labels',
+  authenticateToken,
+  requireBoardRole('member'),
+  labelRules(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, color } = req.body;
+    const { board } = req;
+
+    try {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ message: 'Label name is required' });
+      }
+
+      if (color && !COLOR_PATTERN.test(color)) {
+        return res
+          .status(400)
+          .json({ message: 'Color must be a hex value like #61bd4f' });
+      }
+
+      if (findByName(board, name)) {
+        return res.status(400).json({ message: 'Label already exists' });
+      }
+
+      board.labels.push({ name: name.trim(), color });
+      await board.save();
+
+      const label = board.labels[board.labels.length - 1];
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'label.created',
+        target: { kind: 'Board', id: board._id, name: board.name },
+        diff: { before: {}, after: { name: label.name, color: label.color } },
+      });
+
+      res.status(201).json({ label });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.patch(
+  '/:id/labels/:labelId',
+  authenticateToken,
+  requireBoardRole('member'),
+  labelRules(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { labelId } = req.params;
+    const { name, color } = req.body;
+    const { board } = req;
+
+    try {
+      const label = board.labels.id(labelId);
+      if (!label) {
+        return res.status(404).json({ message: 'Label not found' });
+      }
+
+      if (name !== undefined && !name.trim()) {
+        return res.status(400).json({ message: 'Label name is required' });
+      }
+
+      if (color !== undefined && !COLOR_PATTERN.test(color)) {
+        return res
+          .status(400)
+          .json({ message: 'Color must be a hex value like #61bd4f' });
+      }
+
+      if (name && findByName(board, name, labelId)) {
+        return res.status(400).json({ message: 'Label already exists' });
+      }
+
+      const before = { name: label.name, color: label.color };
+      if (name !== undefined) label.name = name.trim();
+      if (color !== undefined) label.color = color;
+      await board.save();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'label.updated',
+        target: { kind: 'Board', id: board._id, name: board.name },
+        diff: { before, after: { name: label.name, color: label.color } },
+      });
+
+      res.json({ label });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/:id/labels/:labelId',
+  authenticateToken,
+  requireBoardRole('member'),
+  async (req, res) => {
+    const { labelId } = req.params;
+    const { board } = req;
+
+    try {
+      const label = board.labels.id(labelId);
+      if (!label) {
+        return res.status(404).json({ message: 'Label not found' });
+      }
+
+      label.deleteOne();
+      await board.save();
+
+      await Card.updateMany(
+        { labels: label._id },
+        { $pull: { labels: label._id }, $inc: { version: 1 } },
+      );
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'label.deleted',
+        target: { kind: 'Board', id: board._id, name: board.name },
+        diff: { before: { name: label.name, color: label.color }, after: {} },
+      });
+
+      res.json({ message: 'Label deleted successfully' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.put(
+  '/cards/:id/labels/:labelId',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  async (req, res) => {
+    const { labelId } = req.params;
+    const { board, card } = req;
+
+    try {
+      const label = board.labels.id(labelId);
+      if (!label) {
+        return res.status(404).json({ message: 'Label not found' });
+      }
+
+      if (!card.labels.some((l) => l.toString() === labelId)) {
+        card.labels.push(label._id);
+        await card.save();
+
+        await recordActivity({
+          board: board._id,
+          actor: req.user.id,
+          action: 'card.label_added',
+          target: { kind: 'Card', id: card._id, name: card.title },
+          card: card._id,
+          diff: { before: {}, after: { label: label.name } },
+        });
+      }
+
+      res.json({ card });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/cards/:id/labels/:labelId',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  async (req, res) => {
+    const { labelId } = req.params;
+    const { board, card } = req;
+
+    try {
+      if (!card.labels.some((l) => l.toString() === labelId)) {
+        return res.status(404).json({ message: 'Label not on card' });
+      }
+
+      card.labels.pull(labelId);
+      await card.save();
+
+      const label = board.labels.id(labelId);
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'card.label_removed',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: { before: { label: label ? label.name : labelId }, after: {} },
+      });
+
+      res.json({ card });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
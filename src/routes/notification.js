@@ -0,0 +1,140 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken } = require('./auth');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { NOTIFICATION_TYPES } = require('../services/notifications');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+const describePreferences = (user) =>
+  Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [
+      type,
+      user.notificationPreferences.get(type) !== false,
+    ]),
+  );
+
+router.get('/', authenticateToken, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, MAX_PAGE_SIZE);
+  const before = req.query.before ? new Date(req.query.before) : null;
+
+  if (before && Number.isNaN(before.getTime())) {
+    return res.status(400).json({ message: 'Invalid "before" date' });
+  }
+
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.unread === 'true') filter.readAt = null;
+    if (before) filter.createdAt = { $lt: before };
+
+    const notifications = await Notification.find(filter)
+      .populate('actor', 'name email')
+      .populate('board', 'name')
+      .populate('card', 'title')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    const unreadCount = await Notification.countDocuments({
+      user: req.user.id,
+      readAt: null,
+    });
+
+    res.json({ notifications, unreadCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, readAt: null },
+      { $set: { readAt: new Date() } },
+    );
+
+    res.json({ updated: result.modifiedCount, unreadCount: 0 });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ preferences: describePreferences(user) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.patch('/preferences', authenticateToken, async (req, res) => {
+  const invalid = Object.entries(req.body).find(
+    ([type, enabled]) =>
+      !NOTIFICATION_TYPES.includes(type) || typeof enabled !== 'boolean',
+  );
+  if (invalid) {
+    return res
+      .status(400)
+      .json({ message: `Invalid preference ${invalid[0]}` });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    Object.entries(req.body).forEach(([type, enabled]) => {
+      if (enabled) user.notificationPreferences.delete(type);
+      else user.notificationPreferences.set(type, false);
+    });
+    await user.save();
+
+    res.json({ preferences: describePreferences(user) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/:id/read', authenticateToken, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Notification not found' });
+  }
+
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await Notification.countDocuments({
+      user: req.user.id,
+      readAt: null,
+    });
+
+    res.json({ notification, unreadCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const { resolveShareLink, buildPublicView } = require('../services/publicView');
+
+// Anonymous, read-only access. Only GET routes belong here; everything that
+// changes a board stays behind authenticateToken and requireBoardRole.
+const router = express.Router();
+
+router.get('/boards/:id', async (req, res) => {
+  try {
+    const board = mongoose.isValidObjectId(req.params.id)
+      ? await Board.findOne({ _id: req.params.id, isPublic: true }, '_id')
+      : null;
+    const view = board && (await buildPublicView(board._id));
+    if (!view) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+
+    res.json({ board: view });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const boardId = await resolveShareLink(req.params.token);
+    const view = boardId && (await buildPublicView(boardId));
+    if (!view) {
+      return res
+        .status(404)
+        .json({ message: 'Share link is invalid or has expired' });
+    }
+
+    res.json({ board: view });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole, getBoardRole } = require('../middleware/boardAccess');
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const TimeEntry = require('../models/TimeEntry');
+const { recordActivity } = require('../services/activity');
+const {
+  RULES,
+  DEFAULT_THRESHOLDS,
+  SEVERITY_ORDER,
+  resolveSettings,
+  buildRecommendations,
+} = require('../services/recommendations');
+
+const router = express.Router();
+
+const STATUSES = Card.schema.path('status').enumValues;
+
+const describeSettings = (board) => {
+  const settings = resolveSettings(board.recommendationSettings);
+  return {
+    statusLists: Object.fromEntries(settings.statusLists),
+    thresholds: settings.thresholds,
+    rules: RULES.map((rule) => ({
+      id: rule.id,
+      scope: rule.scope || 'card',
+      category: rule.category,
+      description: rule.description,
+      defaultSeverity: rule.severity,
+      enabled: !settings.disabledRules.includes(rule.id),
+      severity: settings.severities.get(rule.id) || null,
+    })),
+  };
+};
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const validateSettings = async (board, body) => {
+  const { statusLists, disabledRules, thresholds, severities } = body;
+
+  if (statusLists !== undefined) {
+    if (!isPlainObject(statusLists)) return 'statusLists must be an object';
+    const unknown = Object.keys(statusLists).find(
+      (status) => !STATUSES.includes(status),
+    );
+    if (unknown) return `Unknown status ${unknown}`;
+
+    const listIds = Object.values(statusLists).filter(Boolean);
+    const malformed = listIds.find((id) => !mongoose.isValidObjectId(id));
+    if (malformed) return `Invalid list ${malformed}`;
+    const count = await List.countDocuments({
+      _id: { $in: listIds },
+      board: board._id,
+    });
+    if (count !== new Set(listIds.map(String)).size) {
+      return 'Status lists must belong to this board';
+    }
+  }
+
+  const ruleIds = RULES.map((r) => r.id);
+  if (disabledRules !== undefined) {
+    if (!Array.isArray(disabledRules)) return 'disabledRules must be an array';
+    const unknown = disabledRules.find((id) => !ruleIds.includes(id));
+    if (unknown) return `Unknown rule ${unknown}`;
+  }
+
+  if (thresholds !== undefined) {
+    if (!isPlainObject(thresholds)) return 'thresholds must be an object';
+    const invalid = Object.entries(thresholds).find(
+      ([key, value]) =>
+        !Object.hasOwn(DEFAULT_THRESHOLDS, key) ||
+        !Number.isInteger(value) ||
+        value < 0,
+    );
+    if (invalid) return `Invalid threshold ${invalid[0]}`;
+  }
+
+  if (severities !== undefined) {
+    if (!isPlainObject(severities)) return 'severities must be an object';
+    const invalid = Object.entries(severities).find(
+      ([id, severity]) =>
+        !ruleIds.includes(id) ||
+        (severity !== null && !Object.hasOwn(SEVERITY_ORDER, severity)),
+    );
+    if (invalid) return `Invalid severity for ${invalid[0]}`;
+  }
+
+  return null;
+};
+
+// Ids of blockers that live on boards the user cannot access, so their
+// titles stay out of the recommendations the same way routes/dependency.js
+// leaves them out of the dependency listing.
+const findHiddenBlockers = async (board, userId) => {
+  const ownLists = new Set(board.lists.map((l) => String(l._id)));
+  const blockers = board.lists
+    .flatMap((l) => l.cards.flatMap((c) => c.blockedBy))
+    .filter((b) => b && b.list && !ownLists.has(String(b.list)));
+  if (!blockers.length) return new Set();
+
+  const lists = await List.find(
+    { _id: { $in: blockers.map((b) => b.list) } },
+    'board',
+  ).populate('board', 'owner members');
+  const boardByList = new Map(lists.map((l) => [String(l._id), l.board]));
+
+  return new Set(
+    blockers
+      .filter((b) => {
+        const other = boardByList.get(String(b.list));
+        return !other || !getBoardRole(other, userId);
+      })
+      .map((b) => String(b._id)),
+  );
+};
+
+router.get(
+  '/:id/recommendations',
+  authenticateToken,
+  requireBoardRole('viewer'),
+  async (req, res) => {
+    try {
+      const board = await Board.findById(req.board._id).populate({
+        path: 'lists',
+        match: { archived: { $ne: true } },
+        populate: {
+          path: 'cards',
+          match: { archived: { $ne: true } },
+          populate: {
+            path: 'blockedBy',
+            select: 'title status priority archived list',
+          },
+        },
+      });
+
+      const logged = await TimeEntry.aggregate([
+        { $match: { board: board._id } },
+        { $group: { _id: '$card', minutes: { $sum: '$minutes' } } },
+      ]);
+      const loggedMinutes = new Map(
+        logged.map((l) => [String(l._id), l.minutes]),
+      );
+
+      const hiddenBlockers = await findHiddenBlockers(board, req.user.id);
+
+      res.json({
+        recommendations: buildRecommendations(
+          board,
+          new Date(),
+          loggedMinutes,
+          hiddenBlockers,
+        ),
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.get(
+  '/:id/recommendation-settings',
+  authenticateToken,
+  requireBoardRole('viewer'),
+  (req, res) => {
+    res.json({ settings: describeSettings(req.board) });
+  },
+);
+
+router.patch(
+  '/:id/recommendation-settings',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    const { statusLists, disabledRules, thresholds, severities } = req.body;
+    const { board } = req;
+
+    try {
+      const invalid = await validateSettings(board, req.body);
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+
+      const before = describeSettings(board);
+      const settings = board.recommendationSettings;
+
+      if (statusLists !== undefined) {
+        Object.entries(statusLists).forEach(([status, listId]) => {
+          if (listId) settings.statusLists.set(status, listId);
+          else settings.statusLists.delete(status);
+        });
+      }
+      if (disabledRules !== undefined) {
+        settings.disabledRules = disabledRules;
+      }
+      if (thresholds !== undefined) {
+        Object.assign(settings.thresholds, thresholds);
+      }
+      if (severities !== undefined) {
+        Object.entries(severities).forEach(([id, severity]) => {
+          if (severity) settings.severities.set(id, severity);
+          else settings.severities.delete(id);
+        });
+      }
+
+      await board.save();
+
+      const after = describeSettings(board);
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'board.recommendation_settings_updated',
+        target: { kind: 'Board', id: board._id, name: board.name },
+        diff: { before, after },
+      });
+
+      res.json({ settings: after });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken } = require('./auth');
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const Comment = require('../models/Comment');
+const { extractTerms, buildSnippet } = require('../services/search');
+
+const router = express.Router();
+
+const score = { score: { $meta: 'textScore' } };
+
+router.get('/', authenticateToken, async (req, res) => {
+  const {
+    q,
+    board: boardId,
+    assignee,
+    priority,
+    status,
+    dueFrom,
+    dueTo,
+  } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+  if (typeof q !== 'string' || !q.trim()) {
+    return res.status(400).json({ message: 'Search query is required' });
+  }
+  // Repeated or bracketed parameters arrive as arrays or objects.
+  const notString = [
+    'board',
+    'assignee',
+    'priority',
+    'status',
+    'dueFrom',
+    'dueTo',
+  ].find((key) => key in req.query && typeof req.query[key] !== 'string');
+  if (notString) {
+    return res
+      .status(400)
+      .json({ message: `${notString} must be a single value` });
+  }
+  if (boardId && !mongoose.isValidObjectId(boardId)) {
+    return res.status(400).json({ message: 'Invalid board' });
+  }
+  if (assignee && !mongoose.isValidObjectId(assignee)) {
+    return res.status(400).json({ message: 'Invalid assignee' });
+  }
+  if ([dueFrom, dueTo].some((d) => d && Number.isNaN(new Date(d).getTime()))) {
+    return res.status(400).json({ message: 'Invalid due date range' });
+  }
+
+  try {
+    const scope = {
+      $or: [{ owner: req.user.id }, { 'members.user': req.user.id }],
+      archived: { $ne: true },
+    };
+    if (boardId) scope._id = boardId;
+
+    const boards = await Board.find(scope, 'name');
+    if (boardId && boards.length === 0) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const boardIds = boards.map((b) => b._id);
+    const boardsById = new Map(boards.map((b) => [b._id.toString(), b]));
+
+    const lists = await List.find(
+      { board: { $in: boardIds }, archived: { $ne: true } },
+      'name board',
+    );
+    const listsById = new Map(lists.map((l) => [l._id.toString(), l]));
+
+    const cardFilter = {
+      list: { $in: lists.map((l) => l._id) },
+      archived: { $ne: true },
+    };
+    if (assignee) cardFilter.assignedTo = assignee;
+    if (priority) cardFilter.priority = { $in: priority.split(',') };
+    if (status) cardFilter.status = { $in: status.split(',') };
+    if (dueFrom || dueTo) {
+      cardFilter.dueDate = {};
+      if (dueFrom) cardFilter.dueDate.$gte = new Date(dueFrom);
+      if (dueTo) cardFilter.dueDate.$lte = new Date(dueTo);
+    }
+
+    // Card-only filters make list and board matches meaningless.
+    const cardFiltersOnly = Boolean(
+      assignee || priority || status || dueFrom || dueTo,
+    );
+
+    const matchingCards = await Card.find(cardFilter, '_id');
+    const commentFilter = {
+      board: { $in: boardIds },
+      card: { $in: matchingCards.map((c) => c._id) },
+    };
+
+    const text = { $text: { $search: q } };
+    const [cards, comments, matchedLists, matchedBoards] = await Promise.all([
+      Card.find({ ...cardFilter, ...text }, score)
+        .sort(score)
+        .limit(limit),
+      Comment.find({ ...commentFilter, ...text }, score)
+        .populate('card', 'title list')
+        .sort(score)
+        .limit(limit),
+      cardFiltersOnly
+        ? []
+        : List.find({ _id: { $in: lists.map((l) => l._id) }, ...text }, score)
+            .sort(score)
+            .limit(limit),
+      cardFiltersOnly
+        ? []
+        : Board.find({ _id: { $in: boardIds }, ...text }, score)
+            .sort(score)
+            .limit(limit),
+    ]);
+
+    const terms = extractTerms(q);
+    const boardRef = (id) => {
+      const board = boardsById.get(id.toString());
+      return { id: board._id, name: board.name };
+    };
+    const boardOfList = (listId) => listsById.get(listId.toString()).board;
+
+    const results = [
+      ...cards.map((card) => ({
+        type: 'card',
+        id: card._id,
+        title: card.title,
+        score: card.get('score'),
+        board: boardRef(boardOfList(card.list)),
+        list: { id: card.list, name: listsById.get(card.list.toString()).name },
+        ...buildSnippet(
+          terms.some((t) => card.title.toLowerCase().includes(t))
+            ? card.title
+            : card.description || card.title,
+          terms,
+        ),
+      })),
+      ...comments
+        .filter((comment) => comment.card)
+        .map((comment) => ({
+          type: 'comment',
+          id: comment._id,
+          title: comment.card.title,
+          score: comment.get('score'),
+          board: boardRef(comment.board),
+          card: { id: comment.card._id, title: comment.card.title },
+          ...buildSnippet(comment.body, terms),
+        })),
+      ...matchedLists.map((list) => ({
+        type: 'list',
+        id: list._id,
+        title: list.name,
+        score: list.get('score'),
+        board: boardRef(list.board),
+        ...buildSnippet(list.name, terms),
+      })),
+      ...matchedBoards.map((board) => ({
+        type: 'board',
+        id: board._id,
+        title: board.name,
+        score: board.get('score'),
+        board: boardRef(board._id),
+        ...buildSnippet(
+          terms.some((t) => board.name.toLowerCase().includes(t))
+            ? board.name
+            : board.description || board.name,
+          terms,
+        ),
+      })),
+    ]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    res.json({ results });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole } = require('../middleware/boardAccess');
+const ShareLink = require('../models/ShareLink');
+const { hashToken } = require('../services/tokens');
+const { recordActivity } = require('../services/activity');
+const { generateShareToken, isActive } = require('../services/publicView');
+
+const router = express.Router();
+
+const describeLink = (link) => ({
+  _id: link._id,
+  label: link.label,
+  createdBy: link.createdBy,
+  createdAt: link.createdAt,
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  lastUsedAt: link.lastUsedAt,
+  active: isActive(link),
+});
+
+router.patch(
+  '/:id/visibility',
+  authenticateToken,
+  requireBoardRole('owner'),
+  async (req, res) => {
+    const { isPublic } = req.body;
+    const { board } = req;
+
+    if (typeof isPublic !== 'boolean') {
+      return res.status(400).json({ message: 'isPublic must be a boolean' });
+    }
+
+    try {
+      const before = board.isPublic;
+      board.isPublic = isPublic;
+      await board.save();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'board.visibility_updated',
+        target: { kind: 'Board', id: board._id, name: board.name },
+        diff: { before: { isPublic: before }, after: { isPublic } },
+      });
+
+      res.json({ isPublic: board.isPublic });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.get(
+  '/:id/share-links',
+  authenticateToken,
+  requireBoardRole('owner'),
+  async (req, res) => {
+    try {
+      const links = await ShareLink.find({ board: req.board._id }).sort({
+        createdAt: -1,
+      });
+
+      res.json({ shareLinks: links.map(describeLink) });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.post(
+  '/:id/share-links',
+  authenticateToken,
+  requireBoardRole('owner'),
+  async (req, res) => {
+    const { label, expiresInDays } = req.body;
+    const { board } = req;
+
+    if (
+      expiresInDays !== undefined &&
+      expiresInDays !== null &&
+      !(Number.isInteger(expiresInDays) && expiresInDays > 0)
+    ) {
+      return res
+        .status(400)
+        .json({ message: 'expiresInDays must be a positive integer' });
+    }
+
+    try {
+      const token = generateShareToken();
+      const link = await ShareLink.create({
+        board: board._id,
+        tokenHash: hashToken(token),
+        label: label || '',
+        createdBy: req.user.id,
+        expiresAt: expiresInDays
+          ? new Date(Date.now() + expiresInDays * 86400000)
+          : undefined,
+      });
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'board.share_link_created',
+        target: { kind: 'Board', id: board._id, name: board.name },
+        diff: { before: {}, after: { shareLink: link._id } },
+      });
+
+      const appUrl = process.env.APP_URL || 'http://localhost:3000';
+
+      // The token is only ever returned here.
+      res.status(201).json({
+        shareLink: describeLink(link),
+        token,
+        url: `${appUrl}/shared/${token}`,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/:id/share-links/:linkId',
+  authenticateToken,
+  requireBoardRole('owner'),
+  async (req, res) => {
+    const { board } = req;
+
+    try {
+      const link = await ShareLink.findOne({
+        _id: req.params.linkId,
+        board: board._id,
+      });
+      if (!link) {
+        return res.status(404).json({ message: 'Share link not found' });
+      }
+
+      if (!link.revokedAt) {
+        link.revokedAt = new Date();
+        await link.save();
+
+        await recordActivity({
+          board: board._id,
+          actor: req.user.id,
+          action: 'board.share_link_revoked',
+          target: { kind: 'Board', id: board._id, name: board.name },
+          diff: { before: {}, after: { shareLink: link._id } },
+        });
+      }
+
+      res.json({ shareLink: describeLink(link) });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole, getBoardRole } = require('../middleware/boardAccess');
+const Board = require('../models/Board');
+const { recordActivity } = require('../services/activity');
+const { inTransaction } = require('../services/transaction');
+const { createInvitation } = require('../services/invitations');
+const User = require('../models/User');
+const {
+  STARTER_TEMPLATES,
+  cloneBoard,
+  createFromStarter,
+} = require('../services/boardCloner');
+
+const router = express.Router();
+
+const cloneOptions = (body) => ({
+  name: body.name,
+  includeCards: body.include !== 'lists',
+  keepAssignees: Boolean(body.keepAssignees),
+  keepDueDates: Boolean(body.keepDueDates),
+});
+
+// Kept assignees only join the clone once they accept.
+const inviteAssignees = async (board, userIds, inviterId) => {
+  if (!userIds.length) return [];
+  const [inviter, users] = await Promise.all([
+    User.findById(inviterId, 'name'),
+    User.find({ _id: { $in: userIds } }, 'email'),
+  ]);
+  for (const { email } of users) {
+    await createInvitation({ board, email, role: 'member', inviter });
+  }
+  return users.map((u) => u.email);
+};
+
+const recordCreated = (board, actor, source) =>
+  recordActivity({
+    board: board._id,
+    actor,
+    action: 'board.created',
+    target: { kind: 'Board', id: board._id, name: board.name },
+    diff: { before: {}, after: { source } },
+  });
+
+router.get('/templates', authenticateToken, async (req, res) => {
+  try {
+    const boards = await Board.find({
+      isTemplate: true,
+      archived: { $ne: true },
+      $or: [{ owner: req.user.id }, { 'members.user': req.user.id }],
+    })
+      .select('name description owner createdAt')
+      .populate('owner', 'name email')
+      .sort({ createdAt: -1 });
+
+    const starters = Object.entries(STARTER_TEMPLATES).map(
+      ([key, starter]) => ({ key, ...starter }),
+    );
+
+    res.json({ starters, boards });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/from-template', authenticateToken, async (req, res) => {
+  const { template } = req.body;
+
+  try {
+    if (!template) {
+      return res.status(400).json({ message: 'Template is required' });
+    }
+
+    if (STARTER_TEMPLATES[template]) {
+      const board = await inTransaction((session) =>
+        createFromStarter(
+          template,
+          { ownerId: req.user.id, name: req.body.name },
+          session,
+        ),
+      );
+
+      await recordCreated(board, req.user.id, template);
+      return res.status(201).json({ board });
+    }
+
+    const source = await Board.findById(template);
+    if (!source || !source.isTemplate) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (!getBoardRole(source, req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { board, invitees } = await inTransaction((session) =>
+      cloneBoard(
+        source,
+        {
+          ...cloneOptions(req.body),
+          ownerId: req.user.id,
+          name: req.body.name || source.name,
+        },
+        session,
+      ),
+    );
+
+    const invitedEmails = await inviteAssignees(board, invitees, req.user.id);
+
+    await recordCreated(board, req.user.id, source._id);
+    res.status(201).json({ board, invitedEmails });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post(
+  '/:id/clone',
+  authenticateToken,
+  requireBoardRole('viewer'),
+  async (req, res) => {
+    try {
+      const { board, invitees } = await inTransaction((session) =>
+        cloneBoard(
+          req.board,
+          { ...cloneOptions(req.body), ownerId: req.user.id },
+          session,
+        ),
+      );
+
+      const invitedEmails = await inviteAssignees(board, invitees, req.user.id);
+
+      await recordCreated(board, req.user.id, req.board._id);
+      res.status(201).json({ board, invitedEmails });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.patch(
+  '/:id/template',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    const { board } = req;
+    const isTemplate = Boolean(req.body.isTemplate);
+
+    try {
+      const before = board.isTemplate;
+      board.isTemplate = isTemplate;
+      await board.save();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'board.template_changed',
+        target: { kind: 'Board', id: board._id, name: board.name },
+        diff: { before: { isTemplate: before }, after: { isTemplate } },
+      });
+
+      res.json({ board });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,261 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole, hasRole } = require('../middleware/boardAccess');
+const TimeEntry = require('../models/TimeEntry');
+const { recordActivity } = require('../services/activity');
+const { buildTimesheet, timesheetCsv } = require('../services/timesheet');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+const entryRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('minutes').isInt({ min: 1, max: 24 * 60 }),
+    body('date').optional().isISO8601(),
+    body('note').optional().isString().isLength({ max: 1000 }),
+  ];
+};
+
+const findEntry = (req) =>
+  mongoose.isValidObjectId(req.params.entryId)
+    ? TimeEntry.findOne({ _id: req.params.entryId, card: req.card._id })
+    : null;
+
+const isAssignee = (card, userId) =>
+  card.assignedTo.some((id) => id.toString() === userId);
+
+// A date-only `to` includes the whole of that (UTC) day.
+const parseTo = (value) => {
+  if (!value) return new Date();
+  const date = new Date(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(date.getTime() + DAY_MS - 1)
+    : date;
+};
+
+router.get(
+  '/cards/:id/time-entries',
+  authenticateToken,
+  requireBoardRole('viewer', { card: 'id' }),
+  async (req, res) => {
+    try {
+      const entries = await TimeEntry.find({ card: req.card._id })
+        .populate('user', 'name email')
+        .sort({ date: -1, createdAt: -1 });
+
+      res.json({
+        entries,
+        totalMinutes: entries.reduce((sum, e) => sum + e.minutes, 0),
+        estimate: req.card.estimate,
+        estimateUnit: req.card.estimateUnit,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.post(
+  '/cards/:id/time-entries',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  entryRules(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { minutes, date, note } = req.body;
+    const { board, card } = req;
+
+    if (!isAssignee(card, req.user.id)) {
+      return res
+        .status(403)
+        .json({ message: 'Only assignees can log time on this card' });
+    }
+
+    try {
+      const entry = await TimeEntry.create({
+        card: card._id,
+        board: board._id,
+        user: req.user.id,
+        minutes,
+        date: date ? new Date(date) : new Date(),
+        note: note || '',
+      });
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'time.logged',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: { before: {}, after: { entry: entry._id, minutes } },
+      });
+
+      res.status(201).json({ entry });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.patch(
+  '/cards/:id/time-entries/:entryId',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  entryRules(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { minutes, date, note } = req.body;
+    const { board, card } = req;
+
+    try {
+      const entry = await findEntry(req);
+      if (!entry) {
+        return res.status(404).json({ message: 'Time entry not found' });
+      }
+
+      if (entry.user.toString() !== req.user.id) {
+        return res
+          .status(403)
+          .json({ message: 'Only the author can edit this time entry' });
+      }
+
+      const before = { minutes: entry.minutes, date: entry.date };
+      if (minutes !== undefined) entry.minutes = minutes;
+      if (date !== undefined) entry.date = new Date(date);
+      if (note !== undefined) entry.note = note;
+      await entry.save();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'time.updated',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: {
+          before,
+          after: { minutes: entry.minutes, date: entry.date },
+        },
+      });
+
+      res.json({ entry });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/cards/:id/time-entries/:entryId',
+  authenticateToken,
+  requireBoardRole('member', { card: 'id' }),
+  async (req, res) => {
+    const { board, card } = req;
+
+    try {
+      const entry = await findEntry(req);
+      if (!entry) {
+        return res.status(404).json({ message: 'Time entry not found' });
+      }
+
+      if (
+        entry.user.toString() !== req.user.id &&
+        !hasRole(req.boardRole, 'admin')
+      ) {
+        return res
+          .status(403)
+          .json({ message: 'Not allowed to delete this time entry' });
+      }
+
+      await entry.deleteOne();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'time.deleted',
+        target: { kind: 'Card', id: card._id, name: card.title },
+        card: card._id,
+        diff: {
+          before: { minutes: entry.minutes, date: entry.date },
+          after: {},
+        },
+      });
+
+      res.json({ message: 'Time entry deleted successfully' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.get(
+  '/:id/timesheet',
+  authenticateToken,
+  requireBoardRole('viewer'),
+  async (req, res) => {
+    const format = req.query.format || 'json';
+    const to = parseTo(req.query.to);
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 30 * DAY_MS);
+
+    if (!['json', 'csv'].includes(format)) {
+      return res
+        .status(400)
+        .json({ message: 'Format must be either json or csv' });
+    }
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    if (from > to || to - from > MAX_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        message: `"from" must be before "to" and at most ${MAX_RANGE_DAYS} days apart`,
+      });
+    }
+    if (req.query.user && !mongoose.isValidObjectId(req.query.user)) {
+      return res.status(400).json({ message: 'Invalid user' });
+    }
+
+    try {
+      const filter = { board: req.board._id, date: { $gte: from, $lte: to } };
+      if (req.query.user) filter.user = req.query.user;
+
+      const entries = await TimeEntry.find(filter)
+        .populate('user', 'name')
+        .populate('card', 'title estimate estimateUnit')
+        .sort({ date: 1 });
+
+      if (format === 'csv') {
+        res.attachment(
+          `timesheet-${from.toISOString().slice(0, 10)}-${to
+            .toISOString()
+            .slice(0, 10)}.csv`,
+        );
+        return res.type('text/csv').send(timesheetCsv(entries));
+      }
+
+      res.json({ timesheet: buildTimesheet(entries, { from, to }) });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole } = require('../middleware/boardAccess');
+const { recordActivity } = require('../services/activity');
+const { inTransaction } = require('../services/transaction');
+const { createInvitation } = require('../services/invitations');
+const User = require('../models/User');
+const {
+  exportBoard,
+  toCsv,
+  isTrelloExport,
+  isSnapshot,
+  validateSnapshot,
+  fromTrello,
+  importSnapshot,
+} = require('../services/boardTransfer');
+
+const router = express.Router();
+
+const fileName = (name, extension) =>
+  `${name.replace(/[^\w-]+/g, '_').slice(0, 64) || 'board'}.${extension}`;
+
+router.get(
+  '/:id/export',
+  authenticateToken,
+  requireBoardRole('viewer'),
+  async (req, res) => {
+    const format = req.query.format || 'json';
+
+    try {
+      if (!['json', 'csv'].includes(format)) {
+        return res
+          .status(400)
+          .json({ message: 'Format must be either json or csv' });
+      }
+
+      const snapshot = await exportBoard(req.board);
+
+      res.attachment(fileName(req.board.name, format));
+      if (format === 'csv') {
+        return res.type('text/csv').send(toCsv(snapshot));
+      }
+      res.json(snapshot);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.post('/import', authenticateToken, async (req, res) => {
+  const data = req.body || {};
+
+  try {
+    let snapshot;
+    let source;
+    if (isSnapshot(data)) {
+      snapshot = data;
+      source = 'json';
+    } else if (isTrelloExport(data)) {
+      snapshot = fromTrello(data);
+      source = 'trello';
+    } else {
+      return res.status(400).json({ message: 'Unrecognized import format' });
+    }
+
+    const invalid = validateSnapshot(snapshot);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const { board, invitees, unmatched } = await inTransaction((session) =>
+      importSnapshot(snapshot, req.user.id, session),
+    );
+
+    // Members of the original board have to accept before they join this one.
+    const inviter = await User.findById(req.user.id, 'name');
+    for (const { email, role } of invitees) {
+      await createInvitation({ board, email, role, inviter });
+    }
+
+    await recordActivity({
+      board: board._id,
+      actor: req.user.id,
+      action: 'board.imported',
+      target: { kind: 'Board', id: board._id, name: board.name },
+      diff: { before: {}, after: { source } },
+    });
+
+    res.status(201).json({
+      board,
+      invitedEmails: invitees.map((i) => i.email),
+      unmatchedEmails: unmatched,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
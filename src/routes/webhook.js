@@ -0,0 +1,259 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole } = require('../middleware/boardAccess');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { recordActivity } = require('../services/activity');
+const {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  checkTarget,
+  enqueue,
+  redeliver,
+} = require('../services/webhooks');
+
+const router = express.Router();
+
+const validateWebhook = async ({ url, events }) => {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'Invalid webhook URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'Webhook URL must use http or https';
+    }
+    const blocked = await checkTarget(url);
+    if (blocked) return blocked;
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'At least one event type is required';
+    }
+    const unknown = events.find(
+      (e) => e !== '*' && !WEBHOOK_EVENTS.includes(e),
+    );
+    if (unknown) {
+      return `Unknown event type ${unknown}`;
+    }
+  }
+
+  return null;
+};
+
+const findWebhook = (req) =>
+  Webhook.findOne({ _id: req.params.webhookId, board: req.board._id });
+
+const recordWebhookActivity = (req, action, webhook) =>
+  recordActivity({
+    board: req.board._id,
+    actor: req.user.id,
+    action,
+    target: { kind: 'Board', id: req.board._id, name: req.board.name },
+    diff: { before: {}, after: { webhook: webhook._id, url: webhook.url } },
+  });
+
+router.get(
+  '/:id/webhooks',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    try {
+      const webhooks = await Webhook.find({ board: req.board._id }).sort({
+        createdAt: -1,
+      });
+
+      res.json({ webhooks, events: WEBHOOK_EVENTS });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.post(
+  '/:id/webhooks',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    const { url, events, secret } = req.body;
+
+    try {
+      const invalid = await validateWebhook({ url, events });
+      if (invalid || !url || !events) {
+        return res
+          .status(400)
+          .json({ message: invalid || 'URL and events are required' });
+      }
+
+      const webhook = await Webhook.create({
+        board: req.board._id,
+        url,
+        events,
+        secret: secret || generateSecret(),
+        createdBy: req.user.id,
+      });
+
+      await recordWebhookActivity(req, 'webhook.created', webhook);
+
+      // The secret is only ever returned here.
+      res.status(201).json({ webhook });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.patch(
+  '/:id/webhooks/:webhookId',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    const { url, events, active, secret } = req.body;
+
+    try {
+      const webhook = await findWebhook(req);
+      if (!webhook) {
+        return res.status(404).json({ message: 'Webhook not found' });
+      }
+
+      const invalid = await validateWebhook({ url, events });
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+
+      if (url !== undefined) webhook.url = url;
+      if (events !== undefined) webhook.events = events;
+      if (active !== undefined) webhook.active = Boolean(active);
+      if (secret) webhook.secret = secret;
+      await webhook.save();
+
+      await recordWebhookActivity(req, 'webhook.updated', webhook);
+
+      const updated = await Webhook.findById(webhook._id);
+      res.json({ webhook: updated });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.delete(
+  '/:id/webhooks/:webhookId',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    try {
+      const webhook = await findWebhook(req);
+      if (!webhook) {
+        return res.status(404).json({ message: 'Webhook not found' });
+      }
+
+      await WebhookDelivery.deleteMany({ webhook: webhook._id });
+      await webhook.deleteOne();
+
+      await recordWebhookActivity(req, 'webhook.deleted', webhook);
+
+      res.json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.post(
+  '/:id/webhooks/:webhookId/ping',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    try {
+      const webhook = await findWebhook(req);
+      if (!webhook) {
+        return res.status(404).json({ message: 'Webhook not found' });
+      }
+
+      const delivery = await enqueue(webhook, 'ping', {
+        type: 'ping',
+        boardId: req.board._id,
+        at: new Date(),
+        actor: req.user.id,
+      });
+
+      res.status(202).json({ delivery });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.get(
+  '/:id/webhooks/:webhookId/deliveries',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      100,
+    );
+
+    try {
+      const webhook = await findWebhook(req);
+      if (!webhook) {
+        return res.status(404).json({ message: 'Webhook not found' });
+      }
+
+      const filter = { webhook: webhook._id };
+      if (req.query.status) filter.status = req.query.status;
+
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        WebhookDelivery.countDocuments(filter),
+      ]);
+
+      res.json({ deliveries, page, limit, total });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.post(
+  '/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    try {
+      const webhook = await findWebhook(req);
+      const delivery =
+        webhook &&
+        (await WebhookDelivery.findOne({
+          _id: req.params.deliveryId,
+          webhook: webhook._id,
+        }));
+      if (!delivery) {
+        return res.status(404).json({ message: 'Delivery not found' });
+      }
+
+      const redelivery = await redeliver(webhook, delivery);
+
+      res.status(202).json({ delivery: redelivery });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const { requireBoardRole } = require('../middleware/boardAccess');
+const Card = require('../models/Card');
+const boardEvents = require('../services/boardEvents');
+const { diffFields, recordActivity } = require('../services/activity');
+const { WIP_MODES } = require('../services/wip');
+
+const router = express.Router();
+
+router.patch(
+  '/lists/:id/wip-limit',
+  authenticateToken,
+  requireBoardRole('admin', { list: 'id' }),
+  async (req, res) => {
+    const { wipLimit } = req.body;
+    const { board, list } = req;
+
+    if (wipLimit !== null && !(Number.isInteger(wipLimit) && wipLimit > 0)) {
+      return res
+        .status(400)
+        .json({ message: 'wipLimit must be a positive integer or null' });
+    }
+
+    try {
+      const before = { wipLimit: list.wipLimit };
+      list.wipLimit = wipLimit;
+      await list.save();
+
+      const cardCount = await Card.countDocuments({
+        list: list._id,
+        archived: { $ne: true },
+      });
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'list.wip_limit_updated',
+        target: { kind: 'List', id: list._id, name: list.name },
+        diff: diffFields(before, list, ['wipLimit']),
+      });
+
+      boardEvents.publish(board._id, 'list.updated', {
+        actor: req.user.id,
+        list,
+        cardCount,
+      });
+
+      res.json({ list, cardCount });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+router.patch(
+  '/:id/wip-mode',
+  authenticateToken,
+  requireBoardRole('admin'),
+  async (req, res) => {
+    const { mode } = req.body;
+    const { board } = req;
+
+    if (!WIP_MODES.includes(mode)) {
+      return res
+        .status(400)
+        .json({ message: `Mode must be one of ${WIP_MODES.join(', ')}` });
+    }
+
+    try {
+      const before = { wipMode: board.wipMode };
+      board.wipMode = mode;
+      await board.save();
+
+      await recordActivity({
+        board: board._id,
+        actor: req.user.id,
+        action: 'board.wip_mode_updated',
+        target: { kind: 'Board', id: board._id, name: board.name },
+        diff: diffFields(before, board, ['wipMode']),
+      });
+
+      res.json({ wipMode: board.wipMode });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const { hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const VERIFICATION_TOKEN_TTL_MS = 48 * 60 * 60 * 1000;
+
+const appUrl = (pathname, token) =>
+  `${process.env.APP_URL || 'http://localhost:3000'}${pathname}?token=${token}`;
+
+// Issues a fresh single-use token, invalidating earlier unused ones.
+const createAccountToken = async (user, purpose, ttl) => {
+  await AccountToken.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } },
+  );
+
+  const raw = crypto.randomBytes(32).toString('hex');
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(raw),
+    expiresAt: new Date(Date.now() + ttl),
+  });
+  return raw;
+};
+
+// Marks the token used and returns its user id, or null if it is unknown,
+// expired or already used.
+const consumeAccountToken = async (raw, purpose) => {
+  const token = await AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(raw),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+  );
+  return token ? token.user : null;
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(
+    user,
+    'password_reset',
+    RESET_TOKEN_TTL_MS,
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in one hour.\n\n${appUrl('/reset-password', token)}\n\nIf you did not ask for this, you can ignore this email.`,
+  });
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(
+    user,
+    'email_verification',
+    VERIFICATION_TOKEN_TTL_MS,
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address with the link below.\n\n${appUrl('/verify-email', token)}`,
+  });
+};
+
+module.exports = {
+  consumeAccountToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+};
@@ -0,0 +1,47 @@
+const Activity = require('../models/Activity');
+
+const normalize = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+// Returns only the fields whose value differs between the two snapshots.
+const diffFields = (before, after, fields) =>
+  fields.reduce(
+    (diff, field) => {
+      const from = normalize(before ? before[field] : undefined);
+      const to = normalize(after ? after[field] : undefined);
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        diff.before[field] = from;
+        diff.after[field] = to;
+      }
+      return diff;
+    },
+    { before: {}, after: {} },
+  );
+
+const recordActivity = async ({
+  board,
+  actor,
+  action,
+  target,
+  card,
+  rule,
+  diff,
+}) => {
+  try {
+    await Activity.create({
+      board,
+      actor,
+      action,
+      target,
+      card,
+      rule,
+      diff: diff || { before: {}, after: {} },
+    });
+  } catch (error) {
+    // A failed audit write should not fail the change it describes.
+    console.error(error);
+  }
+};
+
+module.exports = { diffFields, recordActivity };
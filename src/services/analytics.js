@@ -0,0 +1,189 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const toDays = (ms) =>
+  ms === null ? null : Math.round((ms / DAY_MS) * 100) / 100;
+
+const average = (values) => {
+  const present = values.filter((v) => v !== null);
+  return present.length
+    ? present.reduce((sum, v) => sum + v, 0) / present.length
+    : null;
+};
+
+// ISO week start (Monday 00:00 UTC) for a date.
+const weekStart = (date) => {
+  const d = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d;
+};
+
+// Status timeline of a card as [{ status, from, to }] segments; the last
+// one is open-ended (`to` is null). Cards that predate transition tracking
+// are treated as having had their current status since creation.
+const statusTimeline = (card, transitions) => {
+  const initial = transitions.length ? transitions[0].from : card.status;
+  const segments = [];
+  let status = initial || card.status;
+  let since = card.createdAt;
+
+  transitions.forEach((t) => {
+    segments.push({ status, from: since, to: t.at });
+    status = t.to;
+    since = t.at;
+  });
+  segments.push({ status, from: since, to: null });
+
+  return segments.filter((s) => s.to === null || s.to > s.from);
+};
+
+const cardMetrics = (card, transitions, now) => {
+  const completion = [...transitions].reverse().find((t) => t.to === 'Done');
+  const completedAt =
+    card.status === 'Done' && completion ? completion.at : null;
+  const started = transitions.find((t) => t.to === 'In Progress');
+  const startedAt = started ? started.at : null;
+
+  const blockedMs = statusTimeline(card, transitions)
+    .filter((s) => s.status === 'Blocked')
+    .reduce((sum, s) => sum + ((s.to || now) - s.from), 0);
+
+  return {
+    cardId: card._id,
+    title: card.title,
+    status: card.status,
+    priority: card.priority,
+    assignedTo: card.assignedTo,
+    createdAt: card.createdAt,
+    startedAt,
+    completedAt,
+    leadTimeDays: completedAt ? toDays(completedAt - card.createdAt) : null,
+    cycleTimeDays:
+      completedAt && startedAt && startedAt <= completedAt
+        ? toDays(completedAt - startedAt)
+        : null,
+    blockedDays: toDays(blockedMs),
+  };
+};
+
+const breakdown = (metrics, keysOf) => {
+  const groups = new Map();
+  metrics.forEach((m) =>
+    keysOf(m).forEach((key) => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(m);
+    }),
+  );
+
+  return [...groups.entries()].map(([key, items]) => ({
+    key,
+    completed: items.length,
+    avgLeadTimeDays: toDays(average(items.map((m) => m.leadTimeDays * DAY_MS))),
+    avgCycleTimeDays: toDays(
+      average(
+        items.map((m) =>
+          m.cycleTimeDays === null ? null : m.cycleTimeDays * DAY_MS,
+        ),
+      ),
+    ),
+  }));
+};
+
+// `transitions` are status transitions sorted by time.
+const computeFlowMetrics = ({
+  cards,
+  transitions,
+  statuses,
+  from,
+  to,
+  now,
+}) => {
+  const byCard = new Map(cards.map((c) => [c._id.toString(), []]));
+  transitions.forEach((t) => {
+    const list = byCard.get(t.card.toString());
+    if (list) list.push(t);
+  });
+
+  const metrics = cards.map((card) =>
+    cardMetrics(card, byCard.get(card._id.toString()), now),
+  );
+  const completedInRange = metrics.filter(
+    (m) => m.completedAt && m.completedAt >= from && m.completedAt <= to,
+  );
+
+  const throughput = new Map();
+  for (
+    let week = weekStart(from);
+    week <= to;
+    week = new Date(week.getTime() + WEEK_MS)
+  ) {
+    throughput.set(week.toISOString(), 0);
+  }
+  completedInRange.forEach((m) => {
+    const key = weekStart(m.completedAt).toISOString();
+    throughput.set(key, (throughput.get(key) || 0) + 1);
+  });
+
+  const timelines = cards.map((card) =>
+    statusTimeline(card, byCard.get(card._id.toString())),
+  );
+  const cumulativeFlow = [];
+  for (
+    let day = new Date(from);
+    day <= to;
+    day = new Date(day.getTime() + DAY_MS)
+  ) {
+    const point = Object.fromEntries(statuses.map((s) => [s, 0]));
+    timelines.forEach((segments) => {
+      const current = segments.find(
+        (s) => s.from <= day && (s.to === null || day < s.to),
+      );
+      if (current) point[current.status] = (point[current.status] || 0) + 1;
+    });
+    cumulativeFlow.push({ date: day.toISOString(), ...point });
+  }
+
+  return {
+    range: { from, to },
+    summary: {
+      completed: completedInRange.length,
+      avgLeadTimeDays: toDays(
+        average(completedInRange.map((m) => m.leadTimeDays * DAY_MS)),
+      ),
+      avgCycleTimeDays: toDays(
+        average(
+          completedInRange.map((m) =>
+            m.cycleTimeDays === null ? null : m.cycleTimeDays * DAY_MS,
+          ),
+        ),
+      ),
+      totalBlockedDays: toDays(
+        metrics.reduce((sum, m) => sum + m.blockedDays * DAY_MS, 0),
+      ),
+    },
+    cards: metrics,
+    throughput: [...throughput.entries()].map(([week, completed]) => ({
+      week,
+      completed,
+    })),
+    cumulativeFlow,
+    byAssignee: breakdown(completedInRange, (m) =>
+      m.assignedTo.length
+        ? m.assignedTo.map((id) => id.toString())
+        : ['unassigned'],
+    ),
+    byPriority: breakdown(completedInRange, (m) => [m.priority]),
+    blocked: metrics
+      .filter((m) => m.blockedDays > 0)
+      .sort((a, b) => b.blockedDays - a.blockedDays)
+      .map(({ cardId, title, blockedDays }) => ({
+        cardId,
+        title,
+        blockedDays,
+      })),
+  };
+};
+
+module.exports = { computeFlowMetrics };
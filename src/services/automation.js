@@ -0,0 +1,374 @@
+const AutomationRule = require('../models/AutomationRule');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const Board = require('../models/Board');
+const boardEvents = require('./boardEvents');
+const { diffFields, recordActivity } = require('./activity');
+const { recordTransitions } = require('./transitions');
+const { rankAt, loadInOrder } = require('./ordering');
+const { inTransaction } = require('./transaction');
+const { checkWipLimit } = require('./wip');
+const { notifyAssignees } = require('./notifications');
+const { releaseDependents } = require('./dependencies');
+const { getBoardRole } = require('../middleware/boardAccess');
+
+const TRIGGERS = AutomationRule.schema.path('trigger.type').enumValues;
+const ACTIONS = AutomationRule.schema
+  .path('actions')
+  .schema.path('type').enumValues;
+
+// A rule fires at most once per chain, and a chain stops after this many
+// rounds of rules triggering each other, so rules cannot loop forever.
+const MAX_CHAIN_DEPTH = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CARD_FIELDS = [
+  'list',
+  'status',
+  'priority',
+  'dueDate',
+  'assignedTo',
+  'labels',
+];
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+const snapshot = (card) => ({
+  _id: card._id,
+  title: card.title,
+  list: card.list,
+  status: card.status,
+  priority: card.priority,
+  dueDate: card.dueDate,
+  assignedTo: (card.assignedTo || []).map((u) => u._id || u),
+  labels: [...(card.labels || [])],
+});
+
+const eventsBetween = (before, after) => {
+  if (!before) return ['card.created'];
+
+  const events = [];
+  if (!sameId(before.list, after.list)) events.push('card.moved_to_list');
+  if (before.status !== after.status) events.push('card.status_changed');
+  if (before.priority !== after.priority) events.push('card.priority_changed');
+  return events;
+};
+
+const matches = (rule, events, card) => {
+  const { type, list, value } = rule.trigger;
+  if (!events.includes(type)) return false;
+  if (list && !sameId(list, card.list)) return false;
+  if (value && type === 'card.status_changed') return card.status === value;
+  if (value && type === 'card.priority_changed') return card.priority === value;
+  return true;
+};
+
+// Applies one action to the in-memory card. Returns why it was skipped, or
+// null once applied.
+const applyAction = async (action, card, ctx) => {
+  switch (action.type) {
+    case 'set_status':
+      card.status = action.status;
+      return null;
+    case 'move_to_list': {
+      const list = ctx.lists.get(String(action.list));
+      if (!list) return 'Target list no longer exists or is archived';
+      if (sameId(list._id, card.list)) return null;
+
+      const wip = await checkWipLimit(list, card._id);
+      if (wip && ctx.board.wipMode !== 'soft') return wip.message;
+
+      card.list = list._id;
+      return null;
+    }
+    case 'assign_user':
+      if (!getBoardRole(ctx.board, action.user)) {
+        return 'User is no longer a member of the board';
+      }
+      if (!card.assignedTo.some((id) => sameId(id, action.user))) {
+        card.assignedTo.push(action.user);
+      }
+      return null;
+    case 'set_due_date':
+      card.dueDate = new Date(ctx.now.getTime() + action.dueInDays * DAY_MS);
+      return null;
+    case 'add_label':
+      if (!ctx.board.labels.id(action.label)) {
+        return 'Label no longer exists on the board';
+      }
+      if (!card.labels.some((id) => sameId(id, action.label))) {
+        card.labels.push(action.label);
+      }
+      return null;
+    default:
+      return `Unknown action ${action.type}`;
+  }
+};
+
+const loadContext = async (board, now = new Date()) => {
+  const lists = await List.find({
+    board: board._id,
+    archived: { $ne: true },
+  });
+  return { board, now, lists: new Map(lists.map((l) => [String(l._id), l])) };
+};
+
+// Runs the rules triggered by `events` against an in-memory copy of the card
+// and keeps going while the actions trigger further rules. Nothing is saved.
+// `seed`, when given, is the only rule considered in the first round.
+const runChain = async ({ rules, card, events, ctx, seed }) => {
+  const fired = new Set();
+  const steps = [];
+  const current = snapshot(card);
+  const ready = (rule, pending) =>
+    !fired.has(String(rule._id)) && matches(rule, pending, current);
+
+  let pending = events;
+  for (let depth = 0; pending.length; depth += 1) {
+    const candidates = depth === 0 && seed ? [seed] : rules;
+    if (depth === MAX_CHAIN_DEPTH) {
+      return {
+        card: current,
+        steps,
+        truncated: candidates.some((rule) => ready(rule, pending)),
+      };
+    }
+
+    const roundStart = snapshot(current);
+    for (const rule of candidates) {
+      if (!ready(rule, pending)) continue;
+      fired.add(String(rule._id));
+
+      const before = snapshot(current);
+      const actions = [];
+      for (const action of rule.actions) {
+        const skipped = await applyAction(action, current, ctx);
+        actions.push({ type: action.type, applied: !skipped, reason: skipped });
+      }
+      steps.push({ rule, before, after: snapshot(current), actions });
+    }
+    pending = eventsBetween(roundStart, current);
+  }
+
+  return { card: current, steps, truncated: false };
+};
+
+const describeSteps = (steps) =>
+  steps.map(({ rule, before, after, actions }) => ({
+    rule: { id: rule._id, name: rule.name },
+    actions: actions.map(({ type, applied, reason }) =>
+      applied ? { type, applied } : { type, applied, reason },
+    ),
+    changes: diffFields(before, after, CARD_FIELDS),
+  }));
+
+// Writes the outcome of a chain back to `cardDoc` and records it.
+const persist = async ({ board, cardDoc, result, actor }) => {
+  const from = snapshot(cardDoc);
+  const next = result.card;
+  const moved = !sameId(from.list, next.list);
+  let index = null;
+
+  const save = async (session) => {
+    if (moved) {
+      const target = await List.findById(next.list).session(session);
+      const siblings = await loadInOrder(
+        Card,
+        target.cards,
+        { list: target._id },
+        session,
+      );
+      index = siblings.length;
+      cardDoc.position = rankAt(siblings, index);
+      await List.updateOne(
+        { _id: from.list },
+        { $pull: { cards: cardDoc._id } },
+        { session },
+      );
+      await List.updateOne(
+        { _id: target._id },
+        { $push: { cards: cardDoc._id } },
+        { session },
+      );
+    }
+
+    cardDoc.set({
+      list: next.list,
+      status: next.status,
+      priority: next.priority,
+      dueDate: next.dueDate,
+      assignedTo: next.assignedTo,
+      labels: next.labels,
+    });
+    await cardDoc.save({ session });
+  };
+
+  // Moves touch two lists, so they get the same transaction as manual moves.
+  if (moved) await inTransaction(save);
+  else await save();
+
+  for (const step of result.steps) {
+    if (!step.actions.some((a) => a.applied)) continue;
+    await recordActivity({
+      board: board._id,
+      actor,
+      action: 'card.automated',
+      target: { kind: 'Card', id: cardDoc._id, name: cardDoc.title },
+      card: cardDoc._id,
+      rule: step.rule._id,
+      diff: diffFields(step.before, step.after, CARD_FIELDS),
+    });
+  }
+
+  await recordTransitions({
+    board: board._id,
+    card: cardDoc,
+    actor,
+    before: from,
+  });
+
+  await notifyAssignees({ board, card: cardDoc, before: from, actor });
+  if (from.status !== next.status) await releaseDependents(cardDoc, actor);
+
+  if (moved) {
+    boardEvents.publish(board._id, 'card.moved', {
+      actor,
+      card: cardDoc,
+      fromListId: from.list,
+      toListId: next.list,
+      index,
+      automated: true,
+    });
+  } else {
+    boardEvents.publish(board._id, 'card.updated', {
+      actor,
+      card: cardDoc,
+      automated: true,
+    });
+  }
+};
+
+// Called by the card routes once their own change is saved. `before` is
+// the card as it was (null for a new card) and `card` is updated in place.
+// Returns the steps that ran; failures are logged rather than thrown so a
+// broken rule never fails the change that triggered it.
+const runAutomations = async ({ board, card, before, actor, events, seed }) => {
+  try {
+    const pending = events || eventsBetween(before, snapshot(card));
+    if (!pending.length) return [];
+
+    const rules = await AutomationRule.find({
+      board: board._id,
+      enabled: true,
+    }).sort({ createdAt: 1 });
+    if (!rules.length) return [];
+
+    const ctx = await loadContext(board);
+    const result = await runChain({ rules, card, events: pending, ctx, seed });
+
+    if (result.truncated) {
+      console.warn(
+        `Automation chain on card ${card._id} stopped after ${MAX_CHAIN_DEPTH} rounds`,
+      );
+    }
+    if (result.steps.some((s) => s.actions.some((a) => a.applied))) {
+      await persist({ board, cardDoc: card, result, actor });
+    }
+
+    return describeSteps(result.steps);
+  } catch (error) {
+    console.error(error);
+    return [];
+  }
+};
+
+// Previews what the board's enabled rules (plus an optional unsaved
+// `extraRule`) would do if `card` changed by `changes`, or if `event`
+// happened to it.
+const dryRun = async ({ board, card, changes, event, extraRule }) => {
+  const rules = await AutomationRule.find({
+    board: board._id,
+    enabled: true,
+  }).sort({ createdAt: 1 });
+  if (extraRule) rules.push(extraRule);
+
+  const before = snapshot(card);
+  const start = { ...before, ...changes };
+  const ctx = await loadContext(board);
+  const result = await runChain({
+    rules,
+    card: start,
+    events: event ? [event] : eventsBetween(before, start),
+    ctx,
+  });
+
+  return {
+    card: result.card,
+    steps: describeSteps(result.steps),
+    truncated: result.truncated,
+  };
+};
+
+// Fires card.due_passed rules for cards whose due date fell between the
+// rule's previous sweep and now.
+const sweepDueDates = async (now = new Date()) => {
+  const rules = await AutomationRule.find({
+    'trigger.type': 'card.due_passed',
+    enabled: true,
+  });
+
+  for (const rule of rules) {
+    const since = rule.lastSweptAt || rule.createdAt;
+
+    // Claiming the window first keeps two instances from both running it.
+    const claimed = await AutomationRule.findOneAndUpdate(
+      { _id: rule._id, lastSweptAt: rule.lastSweptAt || null },
+      { $set: { lastSweptAt: now } },
+    );
+    if (!claimed) continue;
+
+    const board = await Board.findById(rule.board);
+    if (!board || board.archived) continue;
+
+    const lists = await List.find(
+      { board: board._id, archived: { $ne: true } },
+      '_id',
+    );
+    const cards = await Card.find({
+      list: { $in: lists.map((l) => l._id) },
+      archived: { $ne: true },
+      dueDate: { $gt: since, $lte: now },
+    });
+
+    for (const card of cards) {
+      await runAutomations({
+        board,
+        card,
+        actor: rule.createdBy,
+        events: ['card.due_passed'],
+        seed: rule,
+      });
+    }
+  }
+};
+
+let sweepTimer = null;
+
+const startAutomationScheduler = () => {
+  if (sweepTimer) return;
+
+  const interval = Number(process.env.AUTOMATION_SWEEP_MS) || 60000;
+  sweepTimer = setInterval(() => {
+    sweepDueDates().catch((error) => console.error(error));
+  }, interval);
+  sweepTimer.unref();
+};
+
+module.exports = {
+  TRIGGERS,
+  ACTIONS,
+  MAX_CHAIN_DEPTH,
+  runAutomations,
+  dryRun,
+  sweepDueDates,
+  startAutomationScheduler,
+};
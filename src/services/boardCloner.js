@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const User = require('../models/User');
+const { getBoardRole } = require('../middleware/boardAccess');
+const { rankBetween, byIndexIn } = require('./ordering');
+
+const STARTER_TEMPLATES = {
+  kanban: {
+    name: 'Kanban',
+    description: 'Continuous flow from backlog to done',
+    lists: ['Backlog', 'Todo', 'In Progress', 'Review', 'Done'],
+    labels: [],
+  },
+  scrum: {
+    name: 'Scrum',
+    description: 'Sprint board with a product backlog',
+    lists: [
+      'Product Backlog',
+      'Sprint Backlog',
+      'In Progress',
+      'Review',
+      'Done',
+    ],
+    labels: [
+      { name: 'Story', color: '#61bd4f' },
+      { name: 'Bug', color: '#eb5a46' },
+      { name: 'Spike', color: '#c377e0' },
+    ],
+  },
+};
+
+// New boards start with their creator as the only member; anyone else has
+// to be invited.
+const membersFor = (ownerId) => [{ user: ownerId, role: 'admin' }];
+
+const linkOwner = (board, session) =>
+  User.updateOne(
+    { _id: board.owner },
+    { $addToSet: { boards: board._id } },
+    { session },
+  );
+
+// Copies a board's lists (and optionally cards) into a new board owned by
+// `ownerId`. Archived lists and cards are left behind. With `keepAssignees`,
+// assignees who are still on the source board stay assigned; the ones
+// besides the owner come back as `invitees` for the caller to invite once
+// the clone has committed.
+const cloneBoard = async (source, options, session) => {
+  const {
+    ownerId,
+    name,
+    includeCards = true,
+    keepAssignees = false,
+    keepDueDates = false,
+    isTemplate = false,
+  } = options;
+
+  const invitees = new Set();
+  const keptAssignee = (id) => {
+    if (!keepAssignees || !id || !getBoardRole(source, id)) return false;
+    if (id.toString() !== ownerId.toString()) invitees.add(id.toString());
+    return true;
+  };
+
+  const labelIds = new Map();
+  const board = new Board({
+    name: name || `${source.name} (copy)`,
+    description: source.description,
+    owner: ownerId,
+    members: membersFor(ownerId),
+    labels: source.labels.map((label) => {
+      const _id = new mongoose.Types.ObjectId();
+      labelIds.set(label._id.toString(), _id);
+      return { _id, name: label.name, color: label.color };
+    }),
+    wipMode: source.wipMode,
+    isTemplate,
+  });
+
+  const lists = (
+    await List.find({ board: source._id, archived: { $ne: true } }).session(
+      session,
+    )
+  ).sort(byIndexIn(source.lists));
+
+  let listRank = '';
+  for (const sourceList of lists) {
+    listRank = rankBetween(listRank, null);
+    const list = new List({
+      name: sourceList.name,
+      board: board._id,
+      position: listRank,
+      wipLimit: sourceList.wipLimit,
+    });
+
+    if (includeCards) {
+      const cards = (
+        await Card.find({
+          list: sourceList._id,
+          archived: { $ne: true },
+        }).session(session)
+      ).sort(byIndexIn(sourceList.cards));
+
+      let cardRank = '';
+      for (const sourceCard of cards) {
+        cardRank = rankBetween(cardRank, null);
+        const card = new Card({
+          title: sourceCard.title,
+          description: sourceCard.description,
+          list: list._id,
+          position: cardRank,
+          dueDate: keepDueDates ? sourceCard.dueDate : null,
+          priority: sourceCard.priority,
+          status: sourceCard.status,
+          estimate: sourceCard.estimate,
+          estimateUnit: sourceCard.estimateUnit,
+          createdBy: ownerId,
+          assignedTo: sourceCard.assignedTo.filter(keptAssignee),
+          labels: sourceCard.labels
+            .map((id) => labelIds.get(id.toString()))
+            .filter(Boolean),
+          checklists: sourceCard.checklists.map((checklist) => ({
+            name: checklist.name,
+            items: checklist.items.map((item) => ({
+              text: item.text,
+              done: false,
+              assignee: keptAssignee(item.assignee) ? item.assignee : undefined,
+              dueDate: keepDueDates ? item.dueDate : undefined,
+            })),
+          })),
+        });
+        await card.save({ session });
+        list.cards.push(card._id);
+      }
+    }
+
+    await list.save({ session });
+    board.lists.push(list._id);
+  }
+
+  await board.save({ session });
+  await linkOwner(board, session);
+
+  return { board, invitees: [...invitees] };
+};
+
+const createFromStarter = async (key, { ownerId, name }, session) => {
+  const starter = STARTER_TEMPLATES[key];
+
+  const board = new Board({
+    name: name || starter.name,
+    description: starter.description,
+    owner: ownerId,
+    members: membersFor(ownerId),
+    labels: starter.labels,
+  });
+
+  let rank = '';
+  for (const listName of starter.lists) {
+    rank = rankBetween(rank, null);
+    const list = new List({ name: listName, board: board._id, position: rank });
+    await list.save({ session });
+    board.lists.push(list._id);
+  }
+
+  await board.save({ session });
+  await linkOwner(board, session);
+
+  return board;
+};
+
+module.exports = { STARTER_TEMPLATES, cloneBoard, createFromStarter };
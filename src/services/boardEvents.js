@@ -0,0 +1,81 @@
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+const subscribers = new Map();
+const listeners = [];
+let nextEventId = 1;
+
+const writeEvent = (res, type, data) => {
+  res.write(`id: ${nextEventId++}\n`);
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+const subscribe = (boardId, userId, res) => {
+  const key = boardId.toString();
+  if (!subscribers.has(key)) {
+    subscribers.set(key, new Set());
+  }
+
+  const client = { userId: userId.toString(), res };
+  subscribers.get(key).add(client);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  writeEvent(res, 'connected', { boardId: key });
+
+  const heartbeat = setInterval(
+    () => res.write(': ping\n\n'),
+    HEARTBEAT_INTERVAL_MS,
+  );
+
+  const unsubscribe = () => {
+    clearInterval(heartbeat);
+    const clients = subscribers.get(key);
+    if (!clients) return;
+    clients.delete(client);
+    if (clients.size === 0) {
+      subscribers.delete(key);
+    }
+  };
+
+  res.on('close', unsubscribe);
+  return unsubscribe;
+};
+
+const publish = (boardId, type, payload) => {
+  const data = {
+    type,
+    boardId: boardId.toString(),
+    at: new Date(),
+    ...payload,
+  };
+
+  listeners.forEach((listener) => listener(data));
+
+  const clients = subscribers.get(boardId.toString());
+  if (!clients) return;
+
+  clients.forEach((client) => writeEvent(client.res, type, data));
+};
+
+// Server-side consumers (e.g. webhooks) see every published event.
+const onEvent = (listener) => {
+  listeners.push(listener);
+};
+
+// Called when a user loses access so they stop receiving updates.
+const disconnectUser = (boardId, userId) => {
+  const clients = subscribers.get(boardId.toString());
+  if (!clients) return;
+
+  clients.forEach((client) => {
+    if (client.userId === userId.toString()) {
+      client.res.end();
+    }
+  });
+};
+
+module.exports = { subscribe, publish, onEvent, disconnectUser };
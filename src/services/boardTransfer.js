@@ -0,0 +1,419 @@
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const User = require('../models/User');
+const { rankBetween, byIndexIn } = require('./ordering');
+
+const EXPORT_FORMAT = 'trello-server-board';
+const EXPORT_VERSION = 1;
+
+const TRELLO_COLORS = {
+  green: '#61bd4f',
+  yellow: '#f2d600',
+  orange: '#ff9f1a',
+  red: '#eb5a46',
+  purple: '#c377e0',
+  blue: '#0079bf',
+  sky: '#00c2e0',
+  lime: '#51e898',
+  pink: '#ff78cb',
+  black: '#344563',
+};
+const DEFAULT_COLOR = '#b3bac5';
+const PRIORITIES = Card.schema.path('priority').enumValues;
+const STATUSES = Card.schema.path('status').enumValues;
+
+const exportBoard = async (board) => {
+  await board.populate('members.user', 'name email');
+  const owner = await User.findById(board.owner, 'email');
+
+  const lists = (await List.find({ board: board._id })).sort(
+    byIndexIn(board.lists),
+  );
+  const cards = await Card.find({ list: { $in: lists.map((l) => l._id) } })
+    .populate('assignedTo', 'email')
+    .populate('createdBy', 'email')
+    .populate('checklists.items.assignee', 'email');
+
+  const emailOf = (user) => (user ? user.email : null);
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    board: {
+      name: board.name,
+      description: board.description,
+      isPublic: board.isPublic,
+      wipMode: board.wipMode,
+      owner: emailOf(owner),
+      labels: board.labels.map((l) => ({
+        id: l._id,
+        name: l.name,
+        color: l.color,
+      })),
+      members: board.members
+        .filter((m) => m.user)
+        .map((m) => ({ email: m.user.email, name: m.user.name, role: m.role })),
+    },
+    lists: lists.map((list) => ({
+      id: list._id,
+      name: list.name,
+      archived: list.archived,
+      wipLimit: list.wipLimit,
+      cards: cards
+        .filter((c) => c.list.equals(list._id))
+        .sort(byIndexIn(list.cards))
+        .map((card) => ({
+          id: card._id,
+          title: card.title,
+          description: card.description,
+          dueDate: card.dueDate,
+          priority: card.priority,
+          status: card.status,
+          estimate: card.estimate,
+          estimateUnit: card.estimateUnit,
+          archived: card.archived,
+          labels: card.labels,
+          assignees: card.assignedTo.map(emailOf).filter(Boolean),
+          createdBy: emailOf(card.createdBy),
+          createdAt: card.createdAt,
+          checklists: card.checklists.map((checklist) => ({
+            name: checklist.name,
+            items: checklist.items.map((item) => ({
+              text: item.text,
+              done: item.done,
+              assignee: emailOf(item.assignee),
+              dueDate: item.dueDate,
+            })),
+          })),
+        })),
+    })),
+  };
+};
+
+const CSV_COLUMNS = [
+  'list',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'labels',
+  'assignees',
+  'checklist',
+  'archived',
+  'createdAt',
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Spreadsheets run user text starting with these as a formula.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (snapshot) => {
+  const labelNames = new Map(
+    snapshot.board.labels.map((l) => [l.id.toString(), l.name]),
+  );
+
+  const rows = snapshot.lists.flatMap((list) =>
+    list.cards.map((card) => {
+      const items = card.checklists.flatMap((c) => c.items);
+      return {
+        list: list.name,
+        title: card.title,
+        description: card.description,
+        status: card.status,
+        priority: card.priority,
+        dueDate: card.dueDate,
+        labels: card.labels
+          .map((id) => labelNames.get(id.toString()))
+          .filter(Boolean)
+          .join(';'),
+        assignees: card.assignees.join(';'),
+        checklist: items.length
+          ? `${items.filter((i) => i.done).length}/${items.length}`
+          : '',
+        archived: card.archived || list.archived,
+        createdAt: card.createdAt,
+      };
+    }),
+  );
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map((row) => CSV_COLUMNS.map((col) => csvCell(row[col])).join(',')),
+  ].join('\n');
+};
+
+const areObjects = (value) =>
+  Array.isArray(value) &&
+  value.every((v) => typeof v === 'object' && v !== null);
+
+const isTrelloExport = (data) =>
+  areObjects(data.lists) &&
+  areObjects(data.cards) &&
+  typeof data.name === 'string' &&
+  ['labels', 'members', 'checklists'].every(
+    (key) => data[key] === undefined || areObjects(data[key]),
+  ) &&
+  (data.checklists || []).every(
+    (c) => c.checkItems === undefined || areObjects(c.checkItems),
+  );
+
+// Converts a Trello board export into our snapshot format. Trello only
+// includes member emails when the exporting account can see them.
+const fromTrello = (data) => {
+  const byPos = (a, b) => (a.pos || 0) - (b.pos || 0);
+  const members = new Map(
+    (data.members || []).map((m) => [m.id, m.email || null]),
+  );
+  const checklists = data.checklists || [];
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    board: {
+      name: data.name,
+      description: data.desc || '',
+      labels: (data.labels || []).map((l) => ({
+        id: l.id,
+        name: l.name || l.color || 'Label',
+        color: TRELLO_COLORS[(l.color || '').split('_')[0]] || DEFAULT_COLOR,
+      })),
+      members: [...members.values()]
+        .filter(Boolean)
+        .map((email) => ({ email, role: 'member' })),
+    },
+    lists: [...data.lists].sort(byPos).map((list) => ({
+      name: list.name,
+      archived: Boolean(list.closed),
+      cards: data.cards
+        .filter((c) => c.idList === list.id)
+        .sort(byPos)
+        .map((card) => ({
+          title: card.name,
+          description: card.desc || '',
+          dueDate: card.due || null,
+          status: card.dueComplete ? 'Done' : 'Todo',
+          archived: Boolean(card.closed),
+          labels: card.idLabels || [],
+          assignees: (card.idMembers || [])
+            .map((id) => members.get(id))
+            .filter(Boolean),
+          checklists: checklists
+            .filter((c) => c.idCard === card.id)
+            .sort(byPos)
+            .map((checklist) => ({
+              name: checklist.name,
+              items: [...(checklist.checkItems || [])]
+                .sort(byPos)
+                .map((item) => ({
+                  text: item.name,
+                  done: item.state === 'complete',
+                  assignee: members.get(item.idMember) || null,
+                  dueDate: item.due || null,
+                })),
+            })),
+        })),
+    })),
+  };
+};
+
+const isSnapshot = (data) =>
+  data.format === EXPORT_FORMAT &&
+  data.board &&
+  typeof data.board.name === 'string' &&
+  Array.isArray(data.lists);
+
+const isObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+const isOptional = (value, check) =>
+  value === undefined || value === null || check(value);
+const isArrayOf = (value, check) =>
+  isOptional(value, (v) => Array.isArray(v) && v.every(check));
+const isDate = (value) =>
+  isOptional(value, (v) => !Number.isNaN(new Date(v).getTime()));
+
+const isChecklistItem = (item) =>
+  isObject(item) &&
+  isText(item.text) &&
+  isOptional(item.assignee, isText) &&
+  isDate(item.dueDate);
+
+const isSnapshotCard = (card) =>
+  isObject(card) &&
+  isText(card.title) &&
+  isOptional(card.description, (v) => typeof v === 'string') &&
+  isDate(card.dueDate) &&
+  isArrayOf(card.labels, (id) => typeof id === 'string') &&
+  isArrayOf(card.assignees, isText) &&
+  isArrayOf(
+    card.checklists,
+    (c) => isObject(c) && isText(c.name) && isArrayOf(c.items, isChecklistItem),
+  );
+
+// Returns why a snapshot (ours, or converted from Trello) cannot be imported,
+// or null. Runs before anything is written so bad files are a 400, not a 500.
+const validateSnapshot = (snapshot) => {
+  const { board, lists } = snapshot;
+  if (!isObject(board) || !isText(board.name)) {
+    return 'Board name is required';
+  }
+  if (!isOptional(board.description, (v) => typeof v === 'string')) {
+    return 'Board description must be a string';
+  }
+  if (!isArrayOf(board.labels, (l) => isObject(l) && isText(l.name))) {
+    return 'Every label needs a name';
+  }
+  if (!isArrayOf(board.members, (m) => isObject(m) && isText(m.email))) {
+    return 'Every member needs an email';
+  }
+  if (!Array.isArray(lists)) return 'Lists must be an array';
+
+  for (const [i, list] of lists.entries()) {
+    if (!isObject(list) || !isText(list.name)) {
+      return `List ${i + 1} needs a name`;
+    }
+    if (!isOptional(list.wipLimit, (v) => Number.isInteger(v) && v > 0)) {
+      return `WIP limit of list "${list.name}" must be a positive integer`;
+    }
+    if (!isArrayOf(list.cards, isObject)) {
+      return `Cards of list "${list.name}" must be an array`;
+    }
+    const invalid = (list.cards || []).findIndex((c) => !isSnapshotCard(c));
+    if (invalid !== -1) {
+      return `Card ${invalid + 1} of list "${list.name}" is invalid`;
+    }
+  }
+  return null;
+};
+
+// Creates a new board owned by `ownerId` from a snapshot. Nobody else is
+// added directly: the snapshot's members come back as `invitees` for the
+// caller to invite once the import has committed, and assignees other than
+// the owner are dropped and reported as `unmatched`.
+const importSnapshot = async (snapshot, ownerId, session) => {
+  const owner = await User.findById(ownerId, 'email').session(session);
+  const ownerEmail = owner.email.toLowerCase();
+  const unmatched = new Set();
+  const assigneeFor = (email) => {
+    if (!email) return undefined;
+    if (email.toLowerCase() === ownerEmail) return ownerId;
+    unmatched.add(email.toLowerCase());
+    return undefined;
+  };
+
+  const invitees = new Map();
+  (snapshot.board.members || []).forEach((m) => {
+    const email = m.email.trim().toLowerCase();
+    if (email !== ownerEmail && !invitees.has(email)) {
+      invitees.set(email, {
+        email,
+        role: ['admin', 'member', 'viewer'].includes(m.role)
+          ? m.role
+          : 'member',
+      });
+    }
+  });
+
+  const members = [{ user: ownerId, role: 'admin' }];
+
+  const board = new Board({
+    name: snapshot.board.name,
+    description: snapshot.board.description || '',
+    owner: ownerId,
+    members,
+    labels: (snapshot.board.labels || []).map((l) => ({
+      name: l.name,
+      color: l.color || DEFAULT_COLOR,
+    })),
+    wipMode: snapshot.board.wipMode === 'soft' ? 'soft' : 'strict',
+  });
+  const labelIds = new Map(
+    (snapshot.board.labels || []).map((l, i) => [
+      String(l.id),
+      board.labels[i]._id,
+    ]),
+  );
+
+  let listRank = '';
+  for (const entry of snapshot.lists) {
+    listRank = rankBetween(listRank, null);
+    const list = new List({
+      name: entry.name,
+      board: board._id,
+      position: listRank,
+      archived: Boolean(entry.archived),
+      wipLimit: entry.wipLimit || null,
+    });
+
+    let cardRank = '';
+    for (const item of entry.cards || []) {
+      cardRank = rankBetween(cardRank, null);
+      const card = new Card({
+        title: item.title,
+        description: item.description || '',
+        list: list._id,
+        position: cardRank,
+        dueDate: item.dueDate ? new Date(item.dueDate) : null,
+        priority: PRIORITIES.includes(item.priority)
+          ? item.priority
+          : undefined,
+        status: STATUSES.includes(item.status) ? item.status : undefined,
+        estimate: item.estimate >= 0 ? item.estimate : null,
+        estimateUnit: item.estimateUnit === 'points' ? 'points' : 'hours',
+        archived: Boolean(item.archived),
+        createdBy: ownerId,
+        labels: (item.labels || [])
+          .map((id) => labelIds.get(String(id)))
+          .filter(Boolean),
+        assignedTo: (item.assignees || []).map(assigneeFor).filter(Boolean),
+        checklists: (item.checklists || []).map((checklist) => ({
+          name: checklist.name,
+          items: (checklist.items || []).map((i) => ({
+            text: i.text,
+            done: Boolean(i.done),
+            assignee: assigneeFor(i.assignee),
+            dueDate: i.dueDate ? new Date(i.dueDate) : undefined,
+          })),
+        })),
+      });
+      await card.save({ session });
+      list.cards.push(card._id);
+    }
+
+    await list.save({ session });
+    board.lists.push(list._id);
+  }
+
+  await board.save({ session });
+  await User.updateOne(
+    { _id: ownerId },
+    { $addToSet: { boards: board._id } },
+    { session },
+  );
+
+  return {
+    board,
+    invitees: [...invitees.values()],
+    unmatched: [...unmatched],
+  };
+};
+
+module.exports = {
+  exportBoard,
+  toCsv,
+  csvCell,
+  isTrelloExport,
+  isSnapshot,
+  validateSnapshot,
+  fromTrello,
+  importSnapshot,
+};
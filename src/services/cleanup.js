@@ -0,0 +1,97 @@
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const Activity = require('../models/Activity');
+const CardTransition = require('../models/CardTransition');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const AutomationRule = require('../models/AutomationRule');
+const Notification = require('../models/Notification');
+const ShareLink = require('../models/ShareLink');
+const Invitation = require('../models/Invitation');
+const Attachment = require('../models/Attachment');
+const TimeEntry = require('../models/TimeEntry');
+const { getStorage } = require('./storage');
+
+// Permanently removes cards and everything that only exists for them.
+// Returns the storage keys of their attachments; pass them to removeFiles
+// once the transaction has committed, since files cannot be rolled back.
+const removeCards = async (cardIds, session) => {
+  const attachments = await Attachment.find(
+    { card: { $in: cardIds } },
+    '+storageKey',
+  ).session(session);
+  await Attachment.deleteMany({ card: { $in: cardIds } }, { session });
+  await Comment.deleteMany({ card: { $in: cardIds } }, { session });
+  await CardTransition.deleteMany({ card: { $in: cardIds } }, { session });
+  await TimeEntry.deleteMany({ card: { $in: cardIds } }, { session });
+  await Card.updateMany(
+    { blockedBy: { $in: cardIds } },
+    { $pull: { blockedBy: { $in: cardIds } } },
+    { session },
+  );
+  await Notification.deleteMany({ card: { $in: cardIds } }, { session });
+  await List.updateMany(
+    { cards: { $in: cardIds } },
+    { $pull: { cards: { $in: cardIds } } },
+    { session },
+  );
+  await Card.deleteMany({ _id: { $in: cardIds } }, { session });
+
+  return attachments.map((a) => a.storageKey);
+};
+
+const removeLists = async (listIds, session) => {
+  const cards = await Card.find({ list: { $in: listIds } }, '_id').session(
+    session,
+  );
+  const storageKeys = await removeCards(
+    cards.map((c) => c._id),
+    session,
+  );
+
+  await Board.updateMany(
+    { lists: { $in: listIds } },
+    { $pull: { lists: { $in: listIds } } },
+    { session },
+  );
+  await List.deleteMany({ _id: { $in: listIds } }, { session });
+  return storageKeys;
+};
+
+const removeBoard = async (board, session) => {
+  const lists = await List.find({ board: board._id }, '_id').session(session);
+  const storageKeys = await removeLists(
+    lists.map((l) => l._id),
+    session,
+  );
+
+  await User.updateMany(
+    { boards: board._id },
+    { $pull: { boards: board._id } },
+    { session },
+  );
+  await Activity.deleteMany({ board: board._id }, { session });
+  await WebhookDelivery.deleteMany({ board: board._id }, { session });
+  await Webhook.deleteMany({ board: board._id }, { session });
+  await AutomationRule.deleteMany({ board: board._id }, { session });
+  await Notification.deleteMany({ board: board._id }, { session });
+  await ShareLink.deleteMany({ board: board._id }, { session });
+  await Invitation.deleteMany({ board: board._id }, { session });
+  await Board.deleteOne({ _id: board._id }, { session });
+  return storageKeys;
+};
+
+// A failed removal only leaves an orphaned file behind.
+const removeFiles = (storageKeys) =>
+  Promise.all(
+    storageKeys.map((key) =>
+      getStorage()
+        .remove(key)
+        .catch((error) => console.error(error)),
+    ),
+  );
+
+module.exports = { removeCards, removeLists, removeBoard, removeFiles };
@@ -0,0 +1,113 @@
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const CardTransition = require('../models/CardTransition');
+const boardEvents = require('./boardEvents');
+const { diffFields, recordActivity } = require('./activity');
+const { recordTransitions } = require('./transitions');
+
+const isOpen = (blocker) => blocker.status !== 'Done' && !blocker.archived;
+
+const boardOfCard = async (card) => {
+  const list = await List.findById(card.list, 'board');
+  return list && Board.findById(list.board);
+};
+
+// True when linking `cardId` as blocked by `blockerId` would close a loop,
+// i.e. the blocker already (transitively) waits on the card.
+const wouldCreateCycle = async (cardId, blockerId) => {
+  const target = String(cardId);
+  const seen = new Set([String(blockerId)]);
+  let frontier = [blockerId];
+
+  while (frontier.length) {
+    const cards = await Card.find({ _id: { $in: frontier } }, 'blockedBy');
+    frontier = [];
+    for (const id of cards.flatMap((c) => c.blockedBy)) {
+      const key = String(id);
+      if (key === target) return true;
+      if (!seen.has(key)) {
+        seen.add(key);
+        frontier.push(id);
+      }
+    }
+  }
+  return false;
+};
+
+const hasOpenBlockers = async (card) => {
+  if (!card.blockedBy.length) return false;
+  const blockers = await Card.find(
+    { _id: { $in: card.blockedBy } },
+    'status archived',
+  );
+  return blockers.some(isOpen);
+};
+
+// Status the card had before it was last marked Blocked.
+const statusBeforeBlocked = async (card) => {
+  const transition = await CardTransition.findOne({
+    card: card._id,
+    field: 'status',
+    to: 'Blocked',
+  }).sort({ at: -1 });
+  const previous = transition && transition.from;
+  return previous && !['Blocked', 'Done'].includes(previous)
+    ? previous
+    : 'Todo';
+};
+
+// Moves a Blocked card back to its previous status once none of its
+// blockers are open. Returns true when the card was released.
+const releaseIfUnblocked = async (card, actor) => {
+  if (card.status !== 'Blocked' || (await hasOpenBlockers(card))) {
+    return false;
+  }
+
+  const board = await boardOfCard(card);
+  if (!board) return false;
+
+  const before = { status: card.status };
+  card.status = await statusBeforeBlocked(card);
+  await card.save();
+
+  await recordActivity({
+    board: board._id,
+    actor,
+    action: 'card.unblocked',
+    target: { kind: 'Card', id: card._id, name: card.title },
+    card: card._id,
+    diff: diffFields(before, card, ['status']),
+  });
+  await recordTransitions({ board: board._id, card, actor, before });
+
+  boardEvents.publish(board._id, 'card.updated', { actor, card });
+  return true;
+};
+
+// Called after `card` may have become Done: releases every card it was the
+// last open blocker of. Failures are logged, not thrown, so they never fail
+// the change to `card` itself.
+const releaseDependents = async (card, actor) => {
+  if (card.status !== 'Done') return;
+
+  try {
+    const dependents = await Card.find({
+      blockedBy: card._id,
+      status: 'Blocked',
+    });
+    for (const dependent of dependents) {
+      await releaseIfUnblocked(dependent, actor);
+    }
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+module.exports = {
+  isOpen,
+  boardOfCard,
+  wouldCreateCycle,
+  releaseIfUnblocked,
+  releaseDependents,
+};
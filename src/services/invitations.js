@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const Board = require('../models/Board');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const boardEvents = require('./boardEvents');
+const { getBoardRole } = require('../middleware/boardAccess');
+const { hashToken } = require('./tokens');
+const { recordActivity } = require('./activity');
+const { sendMail } = require('./mailer');
+const { notify } = require('./notifications');
+
+const pendingFilter = () => ({
+  status: 'pending',
+  expiresAt: { $gt: new Date() },
+});
+
+const createInvitation = async ({ board, email, role, inviter }) => {
+  const ttlDays = Number(process.env.INVITE_TTL_DAYS) || 7;
+  const invitee = await User.findOne({ email });
+  const invitation = new Invitation({
+    board: board._id,
+    email,
+    invitee: invitee ? invitee._id : undefined,
+    invitedBy: inviter._id,
+    role,
+    expiresAt: new Date(Date.now() + ttlDays * 86400000),
+  });
+
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  let link = `${appUrl}/invitations`;
+
+  // Without an account there is no one to list the invite for, so the
+  // link carries a token that /register will honor.
+  if (!invitee) {
+    const token = crypto.randomBytes(32).toString('hex');
+    invitation.tokenHash = hashToken(token);
+    link = `${appUrl}/register?invite=${token}`;
+  }
+
+  await invitation.save();
+
+  if (invitee && invitee.emailVerified) {
+    await notify({
+      recipients: [invitee._id],
+      type: 'board.invited',
+      actor: inviter._id,
+      board: board._id,
+      invitation: invitation._id,
+      message: `${inviter.name} invited you to "${board.name}" as ${role}`,
+    });
+  }
+
+  try {
+    await sendMail({
+      to: email,
+      subject: `${inviter.name} invited you to "${board.name}"`,
+      text: `${inviter.name} invited you to join the board "${board.name}" as ${role}.\n\n${link}\n\nThe invitation expires in ${ttlDays} days.`,
+    });
+  } catch (mailError) {
+    console.error(mailError);
+  }
+
+  return invitation;
+};
+
+// Adds the user to the invitation's board and closes the invitation.
+const acceptInvitation = async (invitation, user) => {
+  const board = await Board.findById(invitation.board);
+
+  if (board && !getBoardRole(board, user._id)) {
+    board.members.push({ user: user._id, role: invitation.role });
+    await board.save();
+
+    await User.findByIdAndUpdate(user._id, {
+      $addToSet: { boards: board._id },
+    });
+
+    await recordActivity({
+      board: board._id,
+      actor: user._id,
+      action: 'member.joined',
+      target: { kind: 'User', id: user._id, name: user.name },
+      diff: { before: {}, after: { role: invitation.role } },
+    });
+
+    boardEvents.publish(board._id, 'member.joined', {
+      actor: user._id,
+      member: {
+        user: { _id: user._id, name: user.name },
+        role: invitation.role,
+      },
+    });
+  }
+
+  invitation.status = 'accepted';
+  invitation.invitee = user._id;
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  return board;
+};
+
+// Honors the invitation carried by an invite link, and invitations addressed
+// to the user's email once they have proven they own it. Registering with an
+// invited address alone must not be enough to join a private board.
+const claimInvitations = async (user, inviteToken) => {
+  const conditions = [];
+  if (user.emailVerified) {
+    conditions.push({ email: user.email });
+  }
+  if (inviteToken) {
+    conditions.push({ tokenHash: hashToken(inviteToken) });
+  }
+  if (!conditions.length) return [];
+
+  const invitations = await Invitation.find({
+    ...pendingFilter(),
+    $or: conditions,
+  });
+  for (const invitation of invitations) {
+    await acceptInvitation(invitation, user);
+  }
+  return invitations;
+};
+
+module.exports = {
+  pendingFilter,
+  createInvitation,
+  acceptInvitation,
+  claimInvitations,
+};
@@ -0,0 +1,79 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const transports = {
+  console: () => ({
+    send: async (message) => {
+      console.log(
+        `[mail] to=${message.to} subject="${message.subject}"\n${message.text}`,
+      );
+    },
+  }),
+  // Writes each message to its own JSON file; handy for local dev and tests.
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), '.mail');
+    return {
+      send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.writeFile(
+          path.join(dir, name),
+          JSON.stringify({ ...message, sentAt: new Date() }, null, 2),
+        );
+      },
+    };
+  },
+};
+
+let transport = null;
+
+// The console transport logs reset and verification links, so it is only a
+// default in development. Elsewhere mail stays off until MAIL_TRANSPORT is
+// set, and the routes that depend on it answer 503.
+const transportName = () =>
+  process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === 'development' ? 'console' : null);
+
+const isMailConfigured = () =>
+  Boolean(transport) || Boolean(transports[transportName()]);
+
+const getTransport = () => {
+  if (!transport) {
+    const name = transportName();
+    if (!name) {
+      throw new Error('No mail transport configured; set MAIL_TRANSPORT');
+    }
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Swaps in another transport, e.g. an SMTP client exposing send(message).
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const warnIfMailUnconfigured = () => {
+  if (!isMailConfigured()) {
+    console.warn(
+      `[mail] No usable mail transport (MAIL_TRANSPORT=${process.env.MAIL_TRANSPORT || 'unset'}); emails will not be sent`,
+    );
+  }
+};
+
+const sendMail = (message) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    ...message,
+  });
+
+module.exports = {
+  sendMail,
+  setTransport,
+  isMailConfigured,
+  warnIfMailUnconfigured,
+};
@@ -0,0 +1,48 @@
+const User = require('../models/User');
+
+const MENTION_PATTERN = /@([\w.+-]+@[\w-]+\.[\w.-]+|[\w.-]+)/g;
+
+const compact = (value) => value.replace(/\s+/g, '').toLowerCase();
+
+const matchMember = (handle, members) => {
+  const token = handle.toLowerCase();
+
+  if (token.includes('@')) {
+    return members.find((m) => m.email.toLowerCase() === token);
+  }
+
+  const byFullName = members.find((m) => compact(m.name) === token);
+  if (byFullName) return byFullName;
+
+  // A first name only counts when it is unambiguous on the board.
+  const byFirstName = members.filter(
+    (m) => m.name.split(/\s+/)[0].toLowerCase() === token,
+  );
+  return byFirstName.length === 1 ? byFirstName[0] : null;
+};
+
+const resolveMentions = async (text, board) => {
+  const matches = [...text.matchAll(MENTION_PATTERN)];
+  if (matches.length === 0) return [];
+
+  const members = await User.find(
+    { _id: { $in: board.members.map((m) => m.user) } },
+    'name email',
+  );
+
+  return matches.reduce((mentions, match) => {
+    // Sentence punctuation is not part of the handle: "thanks @sam."
+    const handle = match[1].replace(/\.+$/, '');
+    const member = matchMember(handle, members);
+    if (member) {
+      mentions.push({
+        user: member._id,
+        handle: `@${handle}`,
+        offset: match.index,
+      });
+    }
+    return mentions;
+  }, []);
+};
+
+module.exports = { resolveMentions };
@@ -0,0 +1,144 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const List = require('../models/List');
+const Card = require('../models/Card');
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+const HOUR_MS = 60 * 60 * 1000;
+// Hours before a card's due date at which its assignees are reminded. Read
+// on each run so values from .env apply regardless of load order.
+const reminderOffsetsHours = () =>
+  (process.env.DUE_REMINDER_OFFSETS_HOURS || '24,1')
+    .split(',')
+    .map(Number)
+    .filter((hours) => hours > 0)
+    .sort((a, b) => a - b);
+
+const idOf = (user) => String(user._id || user);
+
+const wants = (user, type) =>
+  !user.notificationPreferences ||
+  user.notificationPreferences.get(type) !== false;
+
+// Notifies every recipient who has not opted out of `type`. The actor is
+// never told about their own change, and a `key` makes the notification
+// one-off per recipient. Like activity writes, failures are only logged.
+const notify = async ({ recipients, type, actor, key, ...fields }) => {
+  const ids = [...new Set(recipients.filter(Boolean).map(idOf))].filter(
+    (id) => !actor || id !== String(actor),
+  );
+  if (!ids.length) return;
+
+  try {
+    const users = await User.find(
+      { _id: { $in: ids } },
+      'notificationPreferences',
+    );
+    const notifications = users
+      .filter((user) => wants(user, type))
+      .map((user) => ({
+        ...fields,
+        user: user._id,
+        type,
+        actor,
+        key: key ? `${key}:${user._id}` : undefined,
+      }));
+
+    if (notifications.length) {
+      await Notification.insertMany(notifications, { ordered: false });
+    }
+  } catch (error) {
+    // Duplicate keys are one-off notifications that already went out.
+    if (error.code !== 11000) console.error(error);
+  }
+};
+
+// Tells users newly added to `card.assignedTo` since `before`.
+const notifyAssignees = ({ board, card, before, actor }) => {
+  const previous = new Set(((before && before.assignedTo) || []).map(idOf));
+  const added = (card.assignedTo || [])
+    .map(idOf)
+    .filter((id) => !previous.has(id));
+
+  return notify({
+    recipients: added,
+    type: 'card.assigned',
+    actor,
+    board: board._id,
+    card: card._id,
+    message: `You were assigned to "${card.title}" on "${board.name}"`,
+  });
+};
+
+// Sends each unfinished card's assignees (or its creator, when nobody is
+// assigned) one reminder per offset window as its due date approaches.
+const sendDueReminders = async (now = new Date()) => {
+  const offsets = reminderOffsetsHours();
+  if (!offsets.length) return;
+
+  const horizon = new Date(
+    now.getTime() + offsets[offsets.length - 1] * HOUR_MS,
+  );
+  const cards = await Card.find(
+    {
+      archived: { $ne: true },
+      status: { $ne: 'Done' },
+      dueDate: { $gt: now, $lte: horizon },
+    },
+    'title list dueDate assignedTo createdBy',
+  );
+  if (!cards.length) return;
+
+  const lists = await List.find(
+    { _id: { $in: cards.map((c) => c.list) }, archived: { $ne: true } },
+    'board',
+  ).populate('board', 'name archived');
+  const boardByList = new Map(
+    lists
+      .filter((list) => list.board && !list.board.archived)
+      .map((list) => [String(list._id), list.board]),
+  );
+
+  for (const card of cards) {
+    const board = boardByList.get(String(card.list));
+    if (!board) continue;
+
+    // Only the tightest window counts, so a card created an hour before
+    // it is due does not also get the day-before reminder.
+    const hoursLeft = (card.dueDate - now) / HOUR_MS;
+    const offset = offsets.find((hours) => hours >= hoursLeft);
+
+    await notify({
+      recipients: card.assignedTo.length ? card.assignedTo : [card.createdBy],
+      type: 'card.due_soon',
+      board: board._id,
+      card: card._id,
+      message: `"${card.title}" on "${board.name}" is due in ${Math.ceil(
+        hoursLeft,
+      )} hour(s)`,
+      key: `due:${card._id}:${card.dueDate.getTime()}:${offset}`,
+    });
+  }
+};
+
+let reminderTimer = null;
+
+const startReminderScheduler = () => {
+  if (reminderTimer) return;
+
+  const interval =
+    Number(process.env.DUE_REMINDER_INTERVAL_MS) || 5 * 60 * 1000;
+  reminderTimer = setInterval(() => {
+    sendDueReminders().catch((error) => console.error(error));
+  }, interval);
+  reminderTimer.unref();
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  notify,
+  notifyAssignees,
+  sendDueReminders,
+  startReminderScheduler,
+};
@@ -0,0 +1,110 @@
+// Lexicographic ranks: strings over [0-9a-z] that sort in display order and
+// always leave room for another rank between any two neighbours.
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+const RANK_PATTERN = /^[0-9a-z]*[1-9a-z]$/;
+const MAX_RANK_LENGTH = 32;
+
+const digit = (rank, i) => (i < rank.length ? DIGITS.indexOf(rank[i]) : 0);
+
+const rankAfter = (before) => {
+  for (let i = 0; i < before.length; i++) {
+    if (before[i] !== 'z') {
+      return before.slice(0, i) + DIGITS[DIGITS.indexOf(before[i]) + 1];
+    }
+  }
+  return before + DIGITS[BASE / 2];
+};
+
+// Ranks are never generated with a trailing "0", so a gap always exists.
+const rankBetween = (before = '', after = null) => {
+  if (!after) return rankAfter(before || '');
+
+  let rank = '';
+  let bounded = true;
+  for (let i = 0; ; i++) {
+    const lo = digit(before, i);
+    const hi = bounded ? digit(after, i) : BASE;
+
+    if (lo === hi) {
+      rank += DIGITS[lo];
+      continue;
+    }
+
+    const mid = Math.floor((lo + hi) / 2);
+    if (mid > lo) return rank + DIGITS[mid];
+
+    rank += DIGITS[lo];
+    bounded = false;
+  }
+};
+
+const isOrdered = (docs) =>
+  docs.every(
+    (doc, i) =>
+      typeof doc.position === 'string' &&
+      RANK_PATTERN.test(doc.position) &&
+      doc.position.length <= MAX_RANK_LENGTH &&
+      (i === 0 || docs[i - 1].position < doc.position),
+  );
+
+// Gives fresh ranks to documents whose stored positions are missing,
+// duplicated, out of order or grown too long. Returns the documents it changed.
+const normalizeRanks = (docs) => {
+  if (isOrdered(docs)) return [];
+
+  let previous = '';
+  docs.forEach((doc) => {
+    previous = rankAfter(previous);
+    doc.position = previous;
+  });
+  return docs;
+};
+
+// Rank for a document inserted at `index` among already ordered siblings.
+const rankAt = (siblings, index) => {
+  const clamped = Math.max(0, Math.min(index, siblings.length));
+  const before = clamped > 0 ? siblings[clamped - 1].position : '';
+  const after = clamped < siblings.length ? siblings[clamped].position : null;
+  return rankBetween(before, after);
+};
+
+// Comparator following an id array such as Board.lists; unknown ids sort last.
+const byIndexIn = (ids) => {
+  const order = new Map(ids.map((id, i) => [id.toString(), i]));
+  const indexOf = (doc) => order.get(doc._id.toString()) ?? Infinity;
+  return (a, b) => indexOf(a) - indexOf(b);
+};
+
+// Loads the documents matching `filter` in the order given by `orderedIds`
+// (e.g. List.cards), repairing their stored ranks inside the same session.
+const loadInOrder = async (Model, orderedIds, filter, session = null) => {
+  const docs = await Model.find(filter, 'position').session(session);
+
+  const byRank = (a, b) => (String(a.position) < String(b.position) ? -1 : 1);
+  const byIndex = byIndexIn(orderedIds);
+  docs.sort((a, b) => byIndex(a, b) || byRank(a, b));
+
+  const changed = normalizeRanks(docs);
+  if (changed.length) {
+    await Model.bulkWrite(
+      changed.map((doc) => ({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: { position: doc.position } },
+        },
+      })),
+      { session },
+    );
+  }
+
+  return docs;
+};
+
+module.exports = {
+  rankBetween,
+  normalizeRanks,
+  rankAt,
+  byIndexIn,
+  loadInOrder,
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const Board = require('../models/Board');
+const ShareLink = require('../models/ShareLink');
+const { hashToken } = require('./tokens');
+
+const generateShareToken = () => crypto.randomBytes(32).toString('hex');
+
+const isActive = (link, now = new Date()) =>
+  !link.revokedAt && (!link.expiresAt || link.expiresAt > now);
+
+// Returns the board a share-link token grants access to, or null.
+const resolveShareLink = async (token) => {
+  const link = await ShareLink.findOne({ tokenHash: hashToken(token) });
+  if (!link || !isActive(link)) return null;
+
+  await ShareLink.updateOne(
+    { _id: link._id },
+    { $set: { lastUsedAt: new Date() } },
+  );
+  return link.board;
+};
+
+// Loads a board for anonymous readers. Only names and card content are
+// exposed: no emails, member list, settings or anything else that is
+// only meant for people on the board.
+const buildPublicView = async (boardId) => {
+  const board = await Board.findById(boardId)
+    .populate('owner', 'name')
+    .populate({
+      path: 'lists',
+      match: { archived: { $ne: true } },
+      populate: {
+        path: 'cards',
+        match: { archived: { $ne: true } },
+        populate: { path: 'assignedTo', select: 'name' },
+      },
+    });
+  if (!board || board.archived) return null;
+
+  return {
+    _id: board._id,
+    name: board.name,
+    description: board.description,
+    owner: { name: board.owner.name },
+    labels: board.labels.map(({ _id, name, color }) => ({ _id, name, color })),
+    lists: board.lists.map((list) => ({
+      _id: list._id,
+      name: list.name,
+      wipLimit: list.wipLimit,
+      cards: list.cards.map((card) => ({
+        _id: card._id,
+        title: card.title,
+        description: card.description,
+        dueDate: card.dueDate,
+        priority: card.priority,
+        status: card.status,
+        labels: card.labels,
+        assignees: card.assignedTo
+          .filter(Boolean)
+          .map((user) => ({ name: user.name })),
+        checklistSummary: card.checklistSummary,
+      })),
+    })),
+    updatedAt: board.updatedAt,
+  };
+};
+
+module.exports = {
+  generateShareToken,
+  isActive,
+  resolveShareLink,
+  buildPublicView,
+};
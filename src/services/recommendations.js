@@ -0,0 +1,398 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+const SEVERITY_ORDER = { high: 3, medium: 2, low: 1 };
+const CATEGORIES = ['alerts', 'priority', 'dueDate', 'status'];
+
+const DEFAULT_THRESHOLDS = {
+  dueSoonDays: 2,
+  upcomingDays: 7,
+  inProgressDueSoonDays: 1,
+};
+
+// Used only for statuses the board has not mapped to a list explicitly.
+const LIST_NAME_HINTS = {
+  Backlog: ['backlog'],
+  Todo: ['todo', 'to do'],
+  'In Progress': ['in progress', 'doing'],
+  Review: ['review'],
+  Done: ['done', 'complete'],
+  Blocked: ['blocked'],
+};
+
+const daysUntil = (date, now) => Math.ceil((new Date(date) - now) / DAY_MS);
+
+// Expects `blockedBy` to be populated; bare ids are ignored.
+const openBlockers = (card) =>
+  (card.blockedBy || []).filter(
+    (b) => b && b.status && b.status !== 'Done' && !b.archived,
+  );
+
+const RULES = [
+  {
+    id: 'critical_priority',
+    category: 'priority',
+    severity: 'high',
+    description: 'Critical cards outside the In Progress list',
+    evaluate: (card, ctx) => {
+      const inProgress = ctx.listFor('In Progress');
+      if (card.priority !== 'Critical' || !inProgress) return null;
+      if (ctx.isIn(card, inProgress)) return null;
+      return {
+        reason: 'Critical priority task should be in progress immediately',
+        action: `Move to "${inProgress.name}" list`,
+      };
+    },
+  },
+  {
+    id: 'high_priority_waiting',
+    category: 'priority',
+    severity: 'medium',
+    description: 'High priority cards still in Todo or Backlog',
+    evaluate: (card, ctx) => {
+      if (card.priority !== 'High') return null;
+      const waiting = ['Todo', 'Backlog']
+        .map((status) => ctx.listFor(status))
+        .some((list) => list && ctx.isIn(card, list));
+      if (!waiting) return null;
+      return {
+        reason: 'High priority task is waiting in backlog',
+        action: 'Consider moving to "In Progress" if resources allow',
+      };
+    },
+  },
+  {
+    id: 'overdue',
+    category: 'dueDate',
+    severity: 'medium',
+    description: 'Unfinished cards past their due date',
+    evaluate: (card, ctx) => {
+      if (!card.dueDate || card.status === 'Done') return null;
+      const days = daysUntil(card.dueDate, ctx.now);
+      if (days >= 0) return null;
+      return {
+        reason: `Task was due ${Math.abs(days)} day(s) ago but is not completed`,
+        severity: card.priority === 'Critical' ? 'high' : 'medium',
+        action:
+          card.status === 'Blocked'
+            ? 'Resolve blocking issues and complete task'
+            : 'Complete task immediately',
+      };
+    },
+  },
+  {
+    id: 'due_soon',
+    category: 'dueDate',
+    severity: 'medium',
+    description: 'Cards due within dueSoonDays that are not in progress',
+    evaluate: (card, ctx) => {
+      if (!card.dueDate) return null;
+      if (card.status === 'Done' || card.status === 'In Progress') return null;
+      const days = daysUntil(card.dueDate, ctx.now);
+      if (days < 0 || days > ctx.thresholds.dueSoonDays) return null;
+      return {
+        reason: `Task is due in ${days} day(s) but not yet in progress`,
+        severity: card.priority === 'Critical' ? 'high' : 'medium',
+        action: 'Move to "In Progress" and prioritize completion',
+      };
+    },
+  },
+  {
+    id: 'upcoming_deadline',
+    category: 'dueDate',
+    severity: 'low',
+    description: 'Backlog cards due within upcomingDays',
+    evaluate: (card, ctx) => {
+      if (!card.dueDate || card.status !== 'Backlog') return null;
+      const days = daysUntil(card.dueDate, ctx.now);
+      if (days <= ctx.thresholds.dueSoonDays) return null;
+      if (days > ctx.thresholds.upcomingDays) return null;
+      return {
+        reason: `Task due in ${days} days is still in backlog`,
+        action: 'Consider starting work or adjusting timeline',
+      };
+    },
+  },
+  {
+    id: 'no_due_date_high_priority',
+    category: 'dueDate',
+    severity: 'low',
+    description: 'Critical and High cards without a due date',
+    evaluate: (card) => {
+      if (card.dueDate) return null;
+      if (card.priority !== 'Critical' && card.priority !== 'High') return null;
+      return {
+        reason: `${card.priority} priority task has no due date`,
+        severity: card.priority === 'Critical' ? 'medium' : 'low',
+        action: 'Set a realistic due date for proper planning',
+      };
+    },
+  },
+  {
+    id: 'in_progress_overdue',
+    category: 'status',
+    severity: 'high',
+    description: 'In-progress cards past their due date',
+    evaluate: (card, ctx) => {
+      if (card.status !== 'In Progress' || !card.dueDate) return null;
+      if (daysUntil(card.dueDate, ctx.now) >= 0) return null;
+      return {
+        reason: 'Task is in progress but past due date',
+        action: 'Complete immediately or escalate',
+      };
+    },
+  },
+  {
+    id: 'in_progress_due_soon',
+    category: 'status',
+    severity: 'medium',
+    description: 'In-progress cards due within inProgressDueSoonDays',
+    evaluate: (card, ctx) => {
+      if (card.status !== 'In Progress' || !card.dueDate) return null;
+      const days = daysUntil(card.dueDate, ctx.now);
+      if (days < 0 || days > ctx.thresholds.inProgressDueSoonDays) return null;
+      return {
+        reason: `In progress task due in ${days} day(s)`,
+        action: 'Focus on completing this task',
+      };
+    },
+  },
+  {
+    id: 'blocked_task',
+    category: 'status',
+    severity: 'medium',
+    description: 'Cards with the Blocked status',
+    evaluate: (card) =>
+      card.status === 'Blocked'
+        ? {
+            reason: 'Task is blocked and needs attention',
+            action: 'Identify and resolve blocking issues',
+          }
+        : null,
+  },
+  {
+    id: 'critical_in_todo',
+    category: 'status',
+    severity: 'high',
+    description: 'Critical cards with the Todo status',
+    evaluate: (card) =>
+      card.status === 'Todo' && card.priority === 'Critical'
+        ? {
+            reason: 'Critical priority task should not remain in Todo',
+            action: 'Move to "In Progress" immediately',
+          }
+        : null,
+  },
+  {
+    id: 'move_to_done',
+    category: 'alerts',
+    severity: 'low',
+    description: 'Done cards that are not in the Done list',
+    evaluate: (card, ctx) => {
+      const done = ctx.listFor('Done');
+      if (card.status !== 'Done' || !done || ctx.isIn(card, done)) return null;
+      return {
+        reason: 'Completed task should be moved to Done list',
+        action: `Move to "${done.name}" list`,
+      };
+    },
+  },
+  {
+    id: 'done_with_open_items',
+    category: 'status',
+    severity: 'medium',
+    description: 'Done cards with unfinished checklist items',
+    evaluate: (card) => {
+      const { completed, total } = card.checklistSummary;
+      if (card.status !== 'Done' || completed >= total) return null;
+      return {
+        reason: `Task is marked Done but ${
+          total - completed
+        } checklist item(s) are still open`,
+        action: 'Complete the remaining items or reopen the task',
+      };
+    },
+  },
+  {
+    id: 'in_progress_while_blocked',
+    category: 'status',
+    severity: 'high',
+    description: 'In-progress cards that still have open blockers',
+    evaluate: (card, ctx) => {
+      if (card.status !== 'In Progress') return null;
+      const blockers = openBlockers(card);
+      if (!blockers.length) return null;
+      return {
+        reason: `Task is in progress but still blocked by ${ctx.describeBlockers(
+          blockers,
+        )}`,
+        action: 'Finish the blocking tasks first or mark this task Blocked',
+      };
+    },
+  },
+  {
+    id: 'critical_blocked_by_low_priority',
+    category: 'priority',
+    severity: 'high',
+    description: 'Critical cards waiting on Low priority blockers',
+    evaluate: (card, ctx) => {
+      if (card.priority !== 'Critical') return null;
+      const blockers = openBlockers(card).filter((b) => b.priority === 'Low');
+      if (!blockers.length) return null;
+      return {
+        reason: `Critical task depends on low priority ${ctx.describeBlockers(
+          blockers,
+        )}`,
+        action: 'Raise the priority of the blocking tasks',
+      };
+    },
+  },
+  {
+    id: 'over_estimate',
+    category: 'alerts',
+    severity: 'medium',
+    description: 'Cards with more logged time than their hour estimate',
+    evaluate: (card, ctx) => {
+      if (!card.estimate || card.estimateUnit !== 'hours') return null;
+      const hours = ctx.loggedMinutes(card) / 60;
+      if (hours <= card.estimate) return null;
+      return {
+        reason: `${hours.toFixed(1)}h logged against a ${card.estimate}h estimate`,
+        severity: card.status === 'Done' ? 'low' : 'medium',
+        action:
+          card.status === 'Done'
+            ? 'Review the estimate for similar tasks'
+            : 'Re-estimate the remaining work or split the task',
+      };
+    },
+  },
+  {
+    id: 'wip_limit_exceeded',
+    scope: 'list',
+    category: 'alerts',
+    severity: 'high',
+    description: 'Lists holding more cards than their WIP limit',
+    evaluate: (list) => {
+      if (!list.wipLimit || list.cards.length <= list.wipLimit) return null;
+      return {
+        reason: `List holds ${list.cards.length} cards, over its WIP limit of ${list.wipLimit}`,
+        action: 'Finish or move cards out before starting new work',
+      };
+    },
+  },
+];
+
+const resolveSettings = (settings = {}) => {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  Object.keys(DEFAULT_THRESHOLDS).forEach((key) => {
+    const value = settings.thresholds && settings.thresholds[key];
+    if (typeof value === 'number') thresholds[key] = value;
+  });
+
+  return {
+    statusLists: new Map(settings.statusLists || []),
+    disabledRules: settings.disabledRules || [],
+    severities: new Map(settings.severities || []),
+    thresholds,
+  };
+};
+
+const createContext = (board, settings, now, loggedMinutes, hiddenBlockers) => {
+  const listByCard = new Map();
+  board.lists.forEach((list) =>
+    list.cards.forEach((card) => listByCard.set(card._id.toString(), list)),
+  );
+
+  const listFor = (status) => {
+    const mapped = settings.statusLists.get(status);
+    if (mapped) {
+      return board.lists.find((l) => l._id.toString() === mapped.toString());
+    }
+    const hints = LIST_NAME_HINTS[status] || [];
+    return board.lists.find((l) =>
+      hints.some((hint) => l.name.toLowerCase().includes(hint)),
+    );
+  };
+
+  const isIn = (card, list) => {
+    const current = listByCard.get(card._id.toString());
+    return Boolean(current) && current._id.toString() === list._id.toString();
+  };
+
+  return {
+    board,
+    now,
+    thresholds: settings.thresholds,
+    listFor,
+    isIn,
+    loggedMinutes: (card) => loggedMinutes.get(String(card._id)) || 0,
+    // Blockers on boards the reader cannot see are counted, not named.
+    describeBlockers: (blockers) => {
+      const names = blockers
+        .filter((b) => !hiddenBlockers.has(String(b._id)))
+        .map((b) => `"${b.title}"`);
+      const hidden = blockers.length - names.length;
+      if (hidden) {
+        names.push(`${hidden} task${hidden === 1 ? '' : 's'} on other boards`);
+      }
+      return names.join(', ');
+    },
+  };
+};
+
+// `board` must have its lists and their cards populated. `loggedMinutes`
+// maps card ids to the time logged on them.
+const buildRecommendations = (
+  board,
+  now = new Date(),
+  loggedMinutes = new Map(),
+  hiddenBlockers = new Set(),
+) => {
+  const settings = resolveSettings(board.recommendationSettings);
+  const ctx = createContext(
+    board,
+    settings,
+    now,
+    loggedMinutes,
+    hiddenBlockers,
+  );
+  const rules = RULES.filter((r) => !settings.disabledRules.includes(r.id));
+  const listRules = rules.filter((r) => r.scope === 'list');
+  const cardRules = rules.filter((r) => r.scope !== 'list');
+
+  const byCategory = Object.fromEntries(CATEGORIES.map((c) => [c, []]));
+  const add = (rule, result, subject) =>
+    byCategory[rule.category].push({
+      ...subject,
+      type: rule.id,
+      reason: result.reason,
+      severity:
+        settings.severities.get(rule.id) || result.severity || rule.severity,
+      action: result.action,
+    });
+
+  board.lists.forEach((list) => {
+    listRules.forEach((rule) => {
+      const result = rule.evaluate(list, ctx);
+      if (result) add(rule, result, { listId: list._id, listName: list.name });
+    });
+
+    list.cards.forEach((card) => {
+      cardRules.forEach((rule) => {
+        const result = rule.evaluate(card, ctx);
+        if (!result) return;
+        add(rule, result, { cardId: card._id, cardTitle: card.title });
+      });
+    });
+  });
+
+  return CATEGORIES.flatMap((c) => byCategory[c]).sort(
+    (a, b) => SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity],
+  );
+};
+
+module.exports = {
+  RULES,
+  DEFAULT_THRESHOLDS,
+  SEVERITY_ORDER,
+  resolveSettings,
+  buildRecommendations,
+};
@@ -0,0 +1,41 @@
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const extractTerms = (query) =>
+  query
+    .toLowerCase()
+    .split(/\s+/)
+    .map((term) => term.replace(/^[-"']+|["']+$/g, ''))
+    .filter((term) => term.length > 1);
+
+// Returns a window of text around the first matching term, plus the
+// [start, end) offsets of every term occurrence inside that window.
+const buildSnippet = (text, terms) => {
+  if (!text) return { snippet: '', highlights: [] };
+
+  const pattern = terms.length
+    ? new RegExp(terms.map(escapeRegExp).join('|'), 'gi')
+    : null;
+  const first = pattern ? text.search(pattern) : -1;
+
+  const start = first > SNIPPET_RADIUS ? first - SNIPPET_RADIUS : 0;
+  const end = Math.min(
+    text.length,
+    (first === -1 ? 0 : first) + SNIPPET_RADIUS * 2,
+  );
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${suffix}`;
+
+  const highlights = pattern
+    ? [...snippet.matchAll(pattern)].map((m) => ({
+        start: m.index,
+        end: m.index + m[0].length,
+      }))
+    : [];
+
+  return { snippet, highlights };
+};
+
+module.exports = { extractTerms, buildSnippet };
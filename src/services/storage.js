@@ -0,0 +1,46 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// A backend stores opaque blobs under server-generated keys:
+//   put(key, buffer, { contentType }), get(key) -> readable stream,
+//   remove(key). An S3-compatible store only needs to implement these.
+const backends = {
+  local: () => {
+    const root =
+      process.env.ATTACHMENT_DIR || path.join(process.cwd(), 'uploads');
+    const resolve = (key) => path.join(root, key);
+
+    return {
+      put: async (key, buffer) => {
+        await fsp.mkdir(path.dirname(resolve(key)), { recursive: true });
+        await fsp.writeFile(resolve(key), buffer);
+      },
+      get: async (key) => {
+        await fsp.access(resolve(key));
+        return fs.createReadStream(resolve(key));
+      },
+      remove: (key) => fsp.rm(resolve(key), { force: true }),
+    };
+  },
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.ATTACHMENT_STORAGE || 'local';
+    if (!backends[name]) {
+      throw new Error(`Unknown attachment storage "${name}"`);
+    }
+    storage = backends[name]();
+  }
+  return storage;
+};
+
+// Swaps in another backend exposing put/get/remove.
+const setStorage = (custom) => {
+  storage = custom;
+};
+
+module.exports = { getStorage, setStorage };
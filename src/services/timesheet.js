@@ -0,0 +1,88 @@
+const { csvCell } = require('./boardTransfer');
+
+// Monday (UTC) of the week `date` falls in, as YYYY-MM-DD.
+const weekStart = (date) => {
+  const day = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+};
+
+const byMinutes = (a, b) => b.minutes - a.minutes;
+
+// `entries` need `user` (name) and `card` (title, estimate, estimateUnit)
+// populated.
+const buildTimesheet = (entries, range) => {
+  const users = new Map();
+  const cards = new Map();
+  const weeks = new Map();
+  const add = (groups, key, fields, minutes) => {
+    if (!groups.has(key)) groups.set(key, { ...fields, minutes: 0 });
+    groups.get(key).minutes += minutes;
+  };
+
+  entries.forEach((entry) => {
+    const { user, card, minutes } = entry;
+    add(
+      users,
+      String(user._id),
+      { user: { _id: user._id, name: user.name } },
+      minutes,
+    );
+    add(
+      cards,
+      String(card._id),
+      {
+        card: {
+          _id: card._id,
+          title: card.title,
+          estimate: card.estimate,
+          estimateUnit: card.estimateUnit,
+        },
+      },
+      minutes,
+    );
+    const week = weekStart(entry.date);
+    add(weeks, week, { weekStart: week }, minutes);
+  });
+
+  return {
+    range,
+    totalMinutes: entries.reduce((sum, e) => sum + e.minutes, 0),
+    byUser: [...users.values()].sort(byMinutes),
+    byCard: [...cards.values()].sort(byMinutes),
+    byWeek: [...weeks.values()].sort((a, b) =>
+      a.weekStart < b.weekStart ? -1 : 1,
+    ),
+  };
+};
+
+const CSV_COLUMNS = [
+  'date',
+  'week',
+  'user',
+  'card',
+  'minutes',
+  'hours',
+  'note',
+];
+
+const timesheetCsv = (entries) =>
+  [
+    CSV_COLUMNS.join(','),
+    ...entries.map((entry) => {
+      const row = {
+        date: entry.date.toISOString().slice(0, 10),
+        week: weekStart(entry.date),
+        user: entry.user.name,
+        card: entry.card.title,
+        minutes: entry.minutes,
+        hours: (entry.minutes / 60).toFixed(2),
+        note: entry.note,
+      };
+      return CSV_COLUMNS.map((col) => csvCell(row[col])).join(',');
+    }),
+  ].join('\n');
+
+module.exports = { weekStart, buildTimesheet, timesheetCsv };
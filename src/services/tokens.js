@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+// Read when used, so settings from .env apply regardless of load order.
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokenTtlDays = () =>
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+class TokenError extends Error {}
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// A token issued in the same second as a revocation carries the cut-off
+// as its `iat`, so it is not mistaken for one the revocation covers.
+const signAccessToken = (user) => {
+  const validAfter = user.tokensValidAfter
+    ? user.tokensValidAfter.getTime() / 1000
+    : 0;
+  return jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      iat: Math.max(Math.floor(Date.now() / 1000), validAfter),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl() },
+  );
+};
+
+const createRefreshToken = async (user, family, userAgent = '') => {
+  const raw = crypto.randomBytes(48).toString('hex');
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(raw),
+    family,
+    expiresAt: new Date(Date.now() + refreshTokenTtlDays() * 86400000),
+    userAgent,
+  });
+  return { raw, record };
+};
+
+const issueSession = async (user, userAgent) => {
+  const { raw } = await createRefreshToken(
+    user,
+    crypto.randomUUID(),
+    userAgent,
+  );
+  return { token: signAccessToken(user), refreshToken: raw };
+};
+
+const revokeFamily = (family) =>
+  RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+  );
+
+// Swaps a refresh token for a new pair. Presenting a token that was already
+// rotated means it leaked, so the whole family is revoked.
+const rotateSession = async (raw, userAgent) => {
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(raw) });
+  if (!current) throw new TokenError('Invalid refresh token');
+
+  if (current.revokedAt) {
+    await revokeFamily(current.family);
+    throw new TokenError('Refresh token reuse detected');
+  }
+
+  if (current.expiresAt < new Date()) {
+    throw new TokenError('Refresh token expired');
+  }
+
+  const user = await User.findById(current.user);
+  if (!user) throw new TokenError('Invalid refresh token');
+
+  const { raw: nextRaw, record } = await createRefreshToken(
+    user,
+    current.family,
+    userAgent,
+  );
+
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: current._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), replacedBy: record._id } },
+  );
+  // A concurrent request rotated it first: treat as reuse.
+  if (!claimed) {
+    await revokeFamily(current.family);
+    throw new TokenError('Refresh token reuse detected');
+  }
+
+  return { user, token: signAccessToken(user), refreshToken: nextRaw };
+};
+
+const revokeSession = async (raw) => {
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(raw) });
+  if (current) await revokeFamily(current.family);
+};
+
+// JWT `iat` has one-second resolution, so the cut-off is rounded up to the
+// next second: every token issued up to now, including earlier in this
+// second, falls before it. Returns the cut-off.
+const revokeAllSessions = async (userId) => {
+  const cutoff = new Date((Math.floor(Date.now() / 1000) + 1) * 1000);
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+  );
+  await User.findByIdAndUpdate(userId, { tokensValidAfter: cutoff });
+  return cutoff;
+};
+
+module.exports = {
+  TokenError,
+  hashToken,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+};
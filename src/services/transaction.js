@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Runs `work(session)` in a MongoDB transaction (requires a replica set).
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { inTransaction };
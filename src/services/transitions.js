@@ -0,0 +1,29 @@
+const CardTransition = require('../models/CardTransition');
+
+const asKey = (value) =>
+  value === undefined || value === null ? null : value.toString();
+
+// Records status and list changes between two snapshots of a card. Pass
+// `before` as null for a newly created card.
+const recordTransitions = async ({ board, card, actor, before, at }) => {
+  const transitions = ['status', 'list']
+    .map((field) => ({
+      field,
+      from: before ? asKey(before[field]) : null,
+      to: asKey(card[field]),
+    }))
+    .filter((t) => t.to !== null && t.from !== t.to)
+    .map((t) => ({
+      ...t,
+      board,
+      card: card._id,
+      actor,
+      at: at || new Date(),
+    }));
+
+  if (transitions.length) {
+    await CardTransition.insertMany(transitions);
+  }
+};
+
+module.exports = { recordTransitions };
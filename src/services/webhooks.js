@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const boardEvents = require('./boardEvents');
+
+const WEBHOOK_EVENTS = [
+  'card.created',
+  'card.moved',
+  'card.updated',
+  'card.archived',
+  'card.unarchived',
+  'card.deleted',
+  'attachment.added',
+  'attachment.deleted',
+  'list.created',
+  'list.moved',
+  'list.updated',
+  'list.archived',
+  'list.unarchived',
+  'list.deleted',
+  'member.invited',
+  'member.joined',
+];
+
+// Read when used, so the retry policy can come from .env.
+const maxAttempts = () => Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const baseBackoffMs = () => Number(process.env.WEBHOOK_BACKOFF_MS) || 10000;
+const REQUEST_TIMEOUT_MS = 10000;
+const LEASE_MS = 60000;
+const SWEEP_INTERVAL_MS = 30000;
+
+// Loopback, private, link-local (including cloud metadata), shared,
+// documentation, multicast and reserved ranges. Self-hosted setups that
+// deliver to their own network can opt out with WEBHOOK_ALLOW_PRIVATE=true.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.88.99.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, 'ipv4'),
+);
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, 'ipv6'),
+);
+
+// Resolves the webhook host and returns why it may not be called, or null.
+const checkTarget = async (url) => {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE === 'true') return null;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `Could not resolve ${hostname}`;
+  }
+
+  const blocked = addresses.some(({ address, family }) =>
+    blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'),
+  );
+  return blocked
+    ? 'Webhook URL must not point to a private or reserved address'
+    : null;
+};
+
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+// Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and
+// compare it with the X-Webhook-Signature header.
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex')}`;
+
+const backoff = (attempts) => baseBackoffMs() * 2 ** (attempts - 1);
+
+const attempt = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.error = 'Webhook is inactive or was removed';
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  try {
+    // Checked again on every attempt since DNS can change after the
+    // webhook was saved.
+    const blocked = await checkTarget(webhook.url);
+    if (blocked) throw new Error(blocked);
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'trello-server-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(webhook.secret, timestamp, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    delivery.responseStatus = response.status;
+    await response.body?.cancel();
+    if (!response.ok) {
+      throw new Error(`Receiver responded with ${response.status}`);
+    }
+
+    delivery.status = 'succeeded';
+    delivery.error = undefined;
+  } catch (error) {
+    delivery.error = error.message;
+    if (delivery.attempts >= maxAttempts()) {
+      delivery.status = 'failed';
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(
+        Date.now() + backoff(delivery.attempts),
+      );
+    }
+  }
+
+  delivery.durationMs = Date.now() - started;
+  return delivery.save();
+};
+
+// Leasing the delivery keeps the sweep and an immediate attempt from
+// sending the same delivery twice.
+const processDelivery = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+    { new: true },
+  );
+  return delivery ? attempt(delivery) : null;
+};
+
+const enqueue = async (webhook, event, payload, redeliveryOf) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    board: webhook.board,
+    event,
+    payload,
+    redeliveryOf,
+  });
+  processDelivery(delivery._id).catch((error) => console.error(error));
+  return delivery;
+};
+
+const dispatch = async (event) => {
+  const webhooks = await Webhook.find({
+    board: event.boardId,
+    active: true,
+    events: { $in: [event.type, '*'] },
+  });
+
+  const payload = JSON.parse(JSON.stringify(event));
+  await Promise.all(
+    webhooks.map((webhook) => enqueue(webhook, event.type, payload)),
+  );
+};
+
+const redeliver = (webhook, delivery) =>
+  enqueue(webhook, delivery.event, delivery.payload, delivery._id);
+
+const sweep = async () => {
+  const due = await WebhookDelivery.find(
+    { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+    '_id',
+  ).limit(50);
+
+  for (const delivery of due) {
+    await processDelivery(delivery._id);
+  }
+};
+
+let sweepTimer = null;
+
+const startWebhookWorker = () => {
+  if (sweepTimer) return;
+
+  boardEvents.onEvent((event) => {
+    dispatch(event).catch((error) => console.error(error));
+  });
+
+  sweepTimer = setInterval(() => {
+    sweep().catch((error) => console.error(error));
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  checkTarget,
+  sign,
+  enqueue,
+  redeliver,
+  startWebhookWorker,
+};
@@ -0,0 +1,25 @@
+const Card = require('../models/Card');
+
+const WIP_MODES = ['strict', 'soft'];
+
+// Returns the breach that placing one more card in `list` would cause, or
+// null when the list has no limit or still has room. `excludeCard` keeps a
+// card that is already in the list (a reorder) from counting twice.
+const checkWipLimit = async (list, excludeCard) => {
+  if (!list.wipLimit) return null;
+
+  const filter = { list: list._id, archived: { $ne: true } };
+  if (excludeCard) filter._id = { $ne: excludeCard };
+
+  const count = await Card.countDocuments(filter);
+  if (count < list.wipLimit) return null;
+
+  return {
+    message: `List "${list.name}" is at its WIP limit of ${list.wipLimit}`,
+    listId: list._id,
+    limit: list.wipLimit,
+    count,
+  };
+};
+
+module.exports = { WIP_MODES, checkWipLimit };